@@ -9,14 +9,87 @@ const MAX_FILENAME_LENGTH = 50;
 const MAX_TIME_LENGTH = 20;
 const HISTORY_KEY = 'yt_trimmer_history';
 const MAX_HISTORY_ITEMS = 10;
+const AUDIO_FORMATS = ['mp3', 'm4a', 'opus', 'wav', 'flac'];
+const LOSSLESS_FORMATS = ['wav', 'flac'];
+const ANIMATION_FORMATS = ['gif', 'webp'];
+// Formats encoded with Opus only take these sample rates (src/utils/formats.js)
+const OPUS_FORMATS = ['webm', 'opus'];
+const OPUS_SAMPLE_RATES = ['48000', '24000', '16000', '12000', '8000'];
+// Containers that can hold a soft subtitle track
+const SOFT_SUBTITLE_FORMATS = ['mp4', 'webm', 'mkv', 'mov'];
+// Any http(s) link; the allowed sites are checked by the server
+const MEDIA_URL_REGEX = /^https?:\/\/[^\s/]+\.[^\s/]+\/\S+$/;
+// Local files accepted by POST /upload (same list as src/utils/upload.js)
+const UPLOAD_EXTENSIONS = ['mp4', 'm4v', 'mkv', 'webm', 'mov', 'avi', 'ts', 'mp3', 'm4a', 'aac', 'opus', 'ogg', 'wav', 'flac'];
+
+// Time parsing shared with the server (src/utils/time.js, served as /lib/time.js)
+const { parseTime, parseEnd, formatTime } = window.TrimTime;
+
+// Progress status labels shown above the progress bar
+const STATUS_LABELS = {
+  uploading: 'Mengunggah File...',
+  downloading: 'Mengunduh Video...',
+  trimming: 'Memotong Video...',
+  merging: 'Menggabungkan Segmen...',
+  processing: 'Memproses Audio...',
+  subtitles: 'Memproses Subtitle...',
+  packing: 'Membuat ZIP...',
+  batch: 'Memproses Batch...',
+  cleaning: 'Membersihkan...',
+  complete: 'Selesai!',
+  error: 'Error!',
+  cancelled: 'Dibatalkan'
+};
 
 // ===========================================
 // DOM ELEMENTS
 // ===========================================
 let submitBtn, resetBtn, statusMessage, urlInput, startInput, endInput, filenameInput;
-let formatRadios, qualitySelect, qualityContainer;
-let videoPreview, videoPreviewLoading, videoThumbnail, videoTitle, videoUploader, videoDurationBadge, videoViewsBadge, videoViews;
-let progressContainer, progressBar, progressStatus, progressPercent, progressMessage;
+let formatRadios, qualitySelect, qualityContainer, precisionSelect, precisionContainer, bitrateSelect, bitrateContainer;
+let animationContainer, animationFpsSelect, animationWidthSelect, animationLoopCheckbox;
+let audioOptionsContainer, normalizeCheckbox, monoCheckbox, fadeInInput, fadeOutInput, sampleRateSelect;
+let subtitleContainer, subtitleLangSelect, subtitleModeSelect;
+let segmentsList, addSegmentBtn, outputModeContainer;
+let chaptersContainer, chaptersList, chaptersOutputOption;
+let suggestedList, timestampPasteInput, parseTimestampsBtn;
+let videoPreview, videoPreviewLoading, videoThumbnail, playerSection, videoTitle, videoUploader, videoDurationBadge, videoViewsBadge, videoViews;
+let startFrame, startFrameContainer, endFrame, endFrameContainer;
+let timelineContainer, timelineLoading, timelineTrack, timelineFilmstrip, timelineWaveform, timelineSelection;
+let timelineStartHandle, timelineEndHandle, timelineDuration, contactSheetBtn;
+let setStartBtn, setEndBtn, previewRangeBtn, previewRangeLabel, playerTime;
+let uploadDropzone, uploadFileInput, uploadLabel, uploadClearBtn;
+let modeTabs, singleMode, batchMode, batchFileInput, batchFilenameInput, batchPreview, batchSummary, batchRowsTable;
+let progressContainer, progressBar, progressStatus, progressPercent, progressMessage, cancelBtn;
+
+// Server limits (GET /limits), the defaults apply until they are loaded
+let limits = { maxSegments: 20, maxAnimationSeconds: 15 };
+
+// Chapters of the current video ({ title, start, end })
+let chapters = [];
+
+// Segments parsed from the description or a pasted list ({ title, start, end })
+let suggestedSegments = [];
+
+// Length of the current video in seconds (0 = unknown)
+let videoDuration = 0;
+
+// Timeline of the current video ({ duration, filmstrip, waveform })
+let timelineData = null;
+
+// Embedded YouTube player (IFrame API)
+let player = null;
+let playerReady = false;
+let pendingPlayerVideoId = null;
+let rangeLoopTimer = null;
+
+// Batch upload: 'single' or 'batch' screen, and the parsed file ({ rows } or { csv })
+let currentMode = 'single';
+let batchPayload = null;
+let batchValid = false;
+
+// Local file trimmed instead of a URL, and its running upload request
+let uploadFile = null;
+let uploadRequest = null;
 
 // Current task tracking
 let currentTaskId = null;
@@ -29,6 +102,7 @@ document.addEventListener('DOMContentLoaded', () => {
   console.log('✅ DOM loaded, initializing...');
   initElements();
   attachEventListeners();
+  loadLimits();
   console.log('✅ Application ready!');
 });
 
@@ -40,29 +114,100 @@ function initElements() {
   urlInput = document.getElementById('url');
   startInput = document.getElementById('start');
   endInput = document.getElementById('end');
+  startFrame = document.getElementById('start-frame');
+  startFrameContainer = document.getElementById('start-frame-container');
+  endFrame = document.getElementById('end-frame');
+  endFrameContainer = document.getElementById('end-frame-container');
+
+  // Local file upload
+  uploadDropzone = document.getElementById('upload-dropzone');
+  uploadFileInput = document.getElementById('upload-file');
+  uploadLabel = document.getElementById('upload-label');
+  uploadClearBtn = document.getElementById('upload-clear-btn');
+
+  // Timeline
+  timelineContainer = document.getElementById('timeline-container');
+  timelineLoading = document.getElementById('timeline-loading');
+  timelineTrack = document.getElementById('timeline-track');
+  timelineFilmstrip = document.getElementById('timeline-filmstrip');
+  timelineWaveform = document.getElementById('timeline-waveform');
+  timelineSelection = document.getElementById('timeline-selection');
+  timelineStartHandle = document.getElementById('timeline-start-handle');
+  timelineEndHandle = document.getElementById('timeline-end-handle');
+  timelineDuration = document.getElementById('timeline-duration');
+  contactSheetBtn = document.getElementById('contact-sheet-btn');
+
+  // Player controls
+  setStartBtn = document.getElementById('set-start-btn');
+  setEndBtn = document.getElementById('set-end-btn');
+  previewRangeBtn = document.getElementById('preview-range-btn');
+  previewRangeLabel = document.getElementById('preview-range-label');
+  playerTime = document.getElementById('player-time');
   filenameInput = document.getElementById('filename');
 
   // Format and quality
   formatRadios = document.querySelectorAll('input[name="format"]');
   qualitySelect = document.getElementById('quality');
   qualityContainer = document.getElementById('quality-container');
+  precisionSelect = document.getElementById('precision');
+  precisionContainer = document.getElementById('precision-container');
+  bitrateSelect = document.getElementById('audio-bitrate');
+  bitrateContainer = document.getElementById('bitrate-container');
+  animationContainer = document.getElementById('animation-container');
+  animationFpsSelect = document.getElementById('animation-fps');
+  animationWidthSelect = document.getElementById('animation-width');
+  animationLoopCheckbox = document.getElementById('animation-loop');
+  audioOptionsContainer = document.getElementById('audio-options-container');
+  normalizeCheckbox = document.getElementById('audio-normalize');
+  monoCheckbox = document.getElementById('audio-mono');
+  fadeInInput = document.getElementById('audio-fade-in');
+  fadeOutInput = document.getElementById('audio-fade-out');
+  sampleRateSelect = document.getElementById('audio-sample-rate');
+  subtitleContainer = document.getElementById('subtitle-container');
+  subtitleLangSelect = document.getElementById('subtitle-lang');
+  subtitleModeSelect = document.getElementById('subtitle-mode');
+
+  // Extra segments
+  segmentsList = document.getElementById('segments-list');
+  addSegmentBtn = document.getElementById('add-segment-btn');
+  outputModeContainer = document.getElementById('output-mode-container');
+  chaptersOutputOption = document.getElementById('chapters-output-option');
+
+  // Chapters
+  chaptersContainer = document.getElementById('chapters-container');
+  chaptersList = document.getElementById('chapters-list');
+  suggestedList = document.getElementById('suggested-segments-list');
+  timestampPasteInput = document.getElementById('timestamp-paste');
+  parseTimestampsBtn = document.getElementById('parse-timestamps-btn');
 
   // Video preview
   videoPreview = document.getElementById('video-preview');
   videoPreviewLoading = document.getElementById('video-preview-loading');
   videoThumbnail = document.getElementById('video-thumbnail');
+  playerSection = document.getElementById('player-section');
   videoTitle = document.getElementById('video-title');
   videoUploader = document.getElementById('video-uploader').querySelector('span');
   videoDurationBadge = document.getElementById('video-duration-badge');
   videoViewsBadge = document.getElementById('video-views-badge');
   videoViews = document.getElementById('video-views');
 
+  // Batch mode
+  modeTabs = document.querySelectorAll('.mode-tab');
+  singleMode = document.getElementById('single-mode');
+  batchMode = document.getElementById('batch-mode');
+  batchFileInput = document.getElementById('batch-file');
+  batchFilenameInput = document.getElementById('batch-filename');
+  batchPreview = document.getElementById('batch-preview');
+  batchSummary = document.getElementById('batch-summary');
+  batchRowsTable = document.getElementById('batch-rows');
+
   // Progress bar
   progressContainer = document.getElementById('progress-container');
   progressBar = document.getElementById('progress-bar');
   progressStatus = document.getElementById('progress-status');
   progressPercent = document.getElementById('progress-percent');
   progressMessage = document.getElementById('progress-message');
+  cancelBtn = document.getElementById('cancel-btn');
 
   // Check if all elements exist
   if (!submitBtn || !statusMessage || !urlInput) {
@@ -73,6 +218,21 @@ function initElements() {
   console.log('✅ All DOM elements found');
 }
 
+/**
+ * Fetch MAX_SEGMENTS / MAX_ANIMATION_DURATION_SECONDS from the server
+ */
+async function loadLimits() {
+  try {
+    const response = await fetch('/limits');
+    const result = await response.json();
+    if (result.success) {
+      limits = { ...limits, ...result.data };
+    }
+  } catch (error) {
+    console.warn('Could not load server limits, using defaults:', error);
+  }
+}
+
 function attachEventListeners() {
   // Submit button
   submitBtn.addEventListener('click', handleSubmit);
@@ -82,12 +242,67 @@ function attachEventListeners() {
     resetBtn.addEventListener('click', handleReset);
   }
 
+  // Add segment button
+  if (addSegmentBtn) {
+    addSegmentBtn.addEventListener('click', () => addSegmentRow());
+  }
+
+  // Single video / batch screens
+  modeTabs.forEach(tab => {
+    tab.addEventListener('click', () => setMode(tab.dataset.mode));
+  });
+  batchFileInput.addEventListener('change', handleBatchFileChange);
+
+  // Pasted timestamp list
+  if (parseTimestampsBtn) {
+    parseTimestampsBtn.addEventListener('click', handleParseTimestamps);
+  }
+
+  // Cancel button
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', handleCancel);
+  }
+
   // URL input - fetch video info on blur or paste
   urlInput.addEventListener('blur', debounce(handleUrlChange, 500));
   urlInput.addEventListener('paste', () => {
     setTimeout(() => handleUrlChange(), 100);
   });
 
+  // Local file - picked or dropped on the drop zone
+  uploadFileInput.addEventListener('change', () => setUploadFile(uploadFileInput.files[0]));
+  uploadClearBtn.addEventListener('click', clearUploadFile);
+  ['dragenter', 'dragover'].forEach(type => uploadDropzone.addEventListener(type, (event) => {
+    event.preventDefault();
+    uploadDropzone.classList.add('border-red-400', 'bg-red-50');
+  }));
+  ['dragleave', 'drop'].forEach(type => uploadDropzone.addEventListener(type, (event) => {
+    event.preventDefault();
+    uploadDropzone.classList.remove('border-red-400', 'bg-red-50');
+  }));
+  uploadDropzone.addEventListener('drop', (event) => setUploadFile(event.dataTransfer.files[0]));
+
+  // Time inputs - keep the timeline handles in sync
+  startInput.addEventListener('input', updateTimelineHandles);
+  endInput.addEventListener('input', updateTimelineHandles);
+  attachTimelineDrag();
+  window.addEventListener('resize', debounce(drawWaveform, 200));
+
+  // Time inputs - refresh the frame under each input while typing
+  // A relative end ("+20s") moves with the start
+  startInput.addEventListener('input', debounce(updateFramePreviews, 600));
+  endInput.addEventListener('input', debounce(() => updateFramePreview(endInput, endFrame, endFrameContainer), 600));
+  [[startFrame, startFrameContainer], [endFrame, endFrameContainer]].forEach(([img, container]) => {
+    img.addEventListener('load', () => img.classList.remove('opacity-50'));
+    img.addEventListener('error', () => container.classList.add('hidden'));
+  });
+
+  // Player controls and shortcuts (I = start, O = end, P = loop range)
+  setStartBtn.addEventListener('click', () => setTimeFromPlayer(startInput));
+  setEndBtn.addEventListener('click', () => setTimeFromPlayer(endInput));
+  previewRangeBtn.addEventListener('click', toggleRangeLoop);
+  document.addEventListener('keydown', handlePlayerShortcut);
+
   // Format radio change - show/hide quality selector
   formatRadios.forEach(radio => {
     radio.addEventListener('change', handleFormatChange);
@@ -120,6 +335,14 @@ function formatNumber(num) {
   return num.toString();
 }
 
+// Seconds -> "m:ss" or "h:mm:ss"
+function formatEta(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(Math.floor(seconds % 60)).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
 function truncateInput(input, maxLength) {
   if (input && input.value.length > maxLength) {
     input.value = input.value.substring(0, maxLength);
@@ -220,6 +443,10 @@ async function handleUrlChange() {
 
   if (!url) {
     videoPreview.classList.add('hidden');
+    hideTimeline();
+    videoDuration = 0;
+    updateChapters(null);
+    updateSuggestedSegments(null);
     return;
   }
 
@@ -229,9 +456,8 @@ async function handleUrlChange() {
     return;
   }
 
-  // Simple YouTube URL check
-  const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.+/;
-  if (!youtubeRegex.test(url)) {
+  // Simple URL check, the server decides which sites are allowed
+  if (!MEDIA_URL_REGEX.test(url)) {
     return;
   }
 
@@ -248,13 +474,36 @@ async function handleUrlChange() {
     if (result.success && result.data) {
       const data = result.data;
 
+      // A YouTube Clip is trimmed from its source video
+      if (/youtube\.com\/clip\//.test(url)) {
+        urlInput.value = data.url;
+      }
+
       // Update preview elements
-      videoThumbnail.src = data.thumbnail;
+      // Some sites have no thumbnail without metadata
+      videoThumbnail.src = data.thumbnail || '';
+      videoThumbnail.classList.toggle('invisible', !data.thumbnail);
       videoThumbnail.alt = data.title;
       videoTitle.textContent = data.title;
       videoUploader.textContent = data.uploader;
       videoDurationBadge.textContent = data.durationFormatted;
       videoViews.textContent = formatNumber(data.viewCount);
+      updateSubtitleLanguages(data.subtitles);
+      videoDuration = data.duration;
+      updateChapters(data.chapters);
+      updateSuggestedSegments(data.suggestedSegments);
+      applyLinkRange(data.range);
+      // The embedded player is YouTube only
+      playerSection.classList.toggle('hidden', data.provider !== 'youtube');
+      if (data.provider === 'youtube') {
+        loadPlayer(data.id);
+      } else {
+        stopRangeLoop();
+      }
+      updateFramePreviews();
+      if (data.duration > 0) {
+        loadTimeline(data.url);
+      }
 
       // Show preview, hide skeleton
       videoPreviewLoading.classList.add('hidden');
@@ -271,6 +520,699 @@ async function handleUrlChange() {
   }
 }
 
+// ===========================================
+// LOCAL FILE UPLOAD
+// ===========================================
+
+/**
+ * Use a local file as the source instead of a URL
+ * Link-only features (preview, player, timeline, chapters, subtitles) are cleared
+ */
+function setUploadFile(file) {
+  if (!file) return;
+
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (!UPLOAD_EXTENSIONS.includes(extension)) {
+    showStatus('error', `Format file tidak didukung. Gunakan: ${UPLOAD_EXTENSIONS.join(', ')}`);
+    uploadFileInput.value = '';
+    return;
+  }
+
+  uploadFile = file;
+  uploadLabel.textContent = `${file.name} (${(file.size / 1024 / 1024).toFixed(1)} MB)`;
+  uploadLabel.classList.add('text-gray-900', 'font-medium');
+  uploadClearBtn.classList.remove('hidden');
+
+  urlInput.value = '';
+  urlInput.disabled = true;
+  videoPreview.classList.add('hidden');
+  videoPreviewLoading.classList.add('hidden');
+  hideFramePreviews();
+  hideTimeline();
+  stopRangeLoop();
+  videoDuration = 0;
+  updateChapters(null);
+  updateSuggestedSegments(null);
+  updateSubtitleLanguages(null);
+  hideStatus();
+
+  console.log('📁 Local file selected:', file.name);
+}
+
+function clearUploadFile() {
+  uploadFile = null;
+  uploadFileInput.value = '';
+  uploadLabel.textContent = 'atau tarik file video/audio ke sini';
+  uploadLabel.classList.remove('text-gray-900', 'font-medium');
+  uploadClearBtn.classList.add('hidden');
+  urlInput.disabled = false;
+}
+
+/**
+ * Send the file and the trim options to POST /upload
+ * XHR instead of fetch, for the upload progress
+ * @returns {Promise<{response: {ok: boolean, status: number}, result: Object}>}
+ */
+function sendUpload(file, options) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    form.append('options', JSON.stringify(options));
+    form.append('file', file);
+
+    const request = new XMLHttpRequest();
+    uploadRequest = request;
+    request.open('POST', '/upload');
+    request.responseType = 'json';
+
+    request.upload.addEventListener('progress', (event) => {
+      if (!event.lengthComputable) return;
+      const percent = Math.round((event.loaded / event.total) * 100);
+      updateProgress({ status: 'uploading', progress: percent, message: `Mengunggah ${file.name}... ${percent}%` });
+    });
+
+    request.addEventListener('load', () => {
+      uploadRequest = null;
+      resolve({
+        response: { ok: request.status >= 200 && request.status < 300, status: request.status },
+        result: request.response || {}
+      });
+    });
+    request.addEventListener('error', () => {
+      uploadRequest = null;
+      reject(new Error('Failed to fetch'));
+    });
+    request.addEventListener('abort', () => {
+      uploadRequest = null;
+      reject(new Error('Upload dibatalkan'));
+    });
+
+    request.send(form);
+  });
+}
+
+/**
+ * Pre-fill start/end from a timestamped link (t=, start=, end=) or a Clip's range
+ */
+function applyLinkRange(range) {
+  if (!range) return;
+
+  if (range.start) startInput.value = range.start;
+  if (range.end) endInput.value = range.end;
+
+  updateTimelineHandles();
+}
+
+/**
+ * Fill the subtitle language list, manual subtitles first
+ */
+function updateSubtitleLanguages(subtitles) {
+  const manual = subtitles?.manual || [];
+  const auto = (subtitles?.auto || []).filter(lang => !manual.includes(lang));
+
+  subtitleLangSelect.innerHTML = '<option value="" selected>Tanpa subtitle</option>';
+  manual.forEach(lang => subtitleLangSelect.add(new Option(lang, lang)));
+  auto.forEach(lang => subtitleLangSelect.add(new Option(`${lang} (otomatis)`, lang)));
+
+  subtitleContainer.classList.toggle('hidden', manual.length + auto.length === 0);
+}
+
+// ===========================================
+// CHAPTERS & SUGGESTED SEGMENTS
+// ===========================================
+
+/**
+ * Render ranges ({ title, start, end }) as checkboxes
+ */
+function renderRangeChecklist(list, ranges, onChange) {
+  list.innerHTML = '';
+
+  ranges.forEach((range, index) => {
+    const row = document.createElement('label');
+    row.className = 'flex items-center gap-3 px-4 py-2 cursor-pointer hover:bg-gray-50';
+    row.innerHTML = `
+      <input type="checkbox" value="${index}" class="range-checkbox rounded text-red-600 focus:ring-red-500" />
+      <span class="text-gray-400 font-mono">${String(index + 1).padStart(2, '0')}</span>
+      <span class="range-title flex-1 text-gray-800 truncate"></span>
+      <span class="text-gray-500 font-mono text-xs">${formatTime(range.start, 0)} - ${formatTime(range.end, 0)}</span>
+    `;
+    // Titles come from the uploader or a pasted list, never render them as HTML
+    row.querySelector('.range-title').textContent = range.title;
+    row.querySelector('input').addEventListener('change', onChange);
+    list.appendChild(row);
+  });
+}
+
+function getCheckedIndexes(list) {
+  return Array.from(list.querySelectorAll('.range-checkbox:checked')).map(checkbox => Number(checkbox.value));
+}
+
+/**
+ * Fill start/end with the first range and add a segment row per other range
+ */
+function fillSegmentsFromRanges(ranges) {
+  if (ranges.length === 0) return;
+
+  const [first, ...rest] = ranges;
+  startInput.value = formatTime(first.start, 1);
+  endInput.value = formatTime(first.end, 1);
+
+  clearSegmentRows();
+  rest.forEach(range => addSegmentRow(formatTime(range.start, 1), formatTime(range.end, 1)));
+
+  updateTimelineHandles();
+  updateFramePreviews();
+}
+
+/**
+ * List the video's chapters as checkboxes
+ */
+function updateChapters(list) {
+  chapters = list || [];
+  renderRangeChecklist(chaptersList, chapters, () => {
+    fillSegmentsFromRanges(getSelectedChapters().map(index => chapters[index]));
+  });
+
+  chaptersContainer.classList.toggle('hidden', chapters.length === 0);
+  updateOutputModeVisibility();
+}
+
+function getSelectedChapters() {
+  return getCheckedIndexes(chaptersList);
+}
+
+/**
+ * List segments parsed from the description or a pasted timestamp list
+ */
+function updateSuggestedSegments(list) {
+  suggestedSegments = list || [];
+  renderRangeChecklist(suggestedList, suggestedSegments, () => {
+    fillSegmentsFromRanges(getCheckedIndexes(suggestedList).map(index => suggestedSegments[index]));
+  });
+
+  suggestedList.classList.toggle('hidden', suggestedSegments.length === 0);
+}
+
+/**
+ * Parse the pasted timestamp list on the server (same parser as the description)
+ */
+async function handleParseTimestamps() {
+  const text = timestampPasteInput.value.trim();
+  if (!text) {
+    showStatus('error', 'Tempel daftar timestamp terlebih dahulu');
+    return;
+  }
+
+  try {
+    const response = await fetch('/timestamps', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, duration: videoDuration || undefined })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    if (result.data.segments.length === 0) {
+      showStatus('error', 'Tidak ada timestamp yang dikenali');
+      return;
+    }
+
+    updateSuggestedSegments(result.data.segments);
+    console.log('✅ Timestamps parsed:', result.data.segments.length);
+  } catch (error) {
+    console.error('❌ Error parsing timestamps:', error);
+    showStatus('error', error.message || 'Gagal membaca daftar timestamp');
+  }
+}
+
+// ===========================================
+// BATCH
+// ===========================================
+
+/**
+ * Switch between the single video form and the batch upload screen
+ */
+function setMode(mode) {
+  currentMode = mode;
+  singleMode.classList.toggle('hidden', mode !== 'single');
+  batchMode.classList.toggle('hidden', mode !== 'batch');
+
+  modeTabs.forEach(tab => {
+    const active = tab.dataset.mode === mode;
+    tab.classList.toggle('bg-white', active);
+    tab.classList.toggle('text-red-600', active);
+    tab.classList.toggle('shadow', active);
+    tab.classList.toggle('text-gray-600', !active);
+  });
+
+  hideStatus();
+}
+
+/**
+ * Read the CSV / JSON file and let the server check every row (dry run)
+ */
+async function handleBatchFileChange() {
+  const file = batchFileInput.files[0];
+  batchPayload = null;
+  batchValid = false;
+  batchPreview.classList.add('hidden');
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+
+    if (file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('[')) {
+      const parsed = JSON.parse(text);
+      batchPayload = { rows: Array.isArray(parsed) ? parsed : parsed.rows };
+    } else {
+      batchPayload = { csv: text };
+    }
+
+    const response = await fetch('/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...batchPayload, dryRun: true })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    batchValid = result.data.valid;
+    renderBatchRows(result.data.rows);
+    console.log('✅ Batch file checked:', result.data.rows.length, 'rows');
+  } catch (error) {
+    console.error('❌ Error reading batch file:', error);
+    batchPayload = null;
+    showStatus('error', error instanceof SyntaxError ? 'File JSON tidak valid' : error.message || 'Gagal membaca file batch');
+  }
+}
+
+/**
+ * Show the checked rows with their errors
+ */
+function renderBatchRows(rows) {
+  const invalid = rows.filter(row => row.errors.length > 0).length;
+
+  batchSummary.textContent = invalid > 0
+    ? `${rows.length} baris, ${invalid} tidak valid - perbaiki file lalu pilih lagi`
+    : `${rows.length} baris siap diproses`;
+  batchSummary.classList.toggle('text-red-600', invalid > 0);
+
+  batchRowsTable.innerHTML = '';
+  rows.forEach(row => {
+    const tr = document.createElement('tr');
+    const cells = [row.row, row.url || '-', row.start || '-', row.end || '-', `${row.filename}.${row.format}`,
+      row.errors.length > 0 ? row.errors.join('. ') : 'OK'];
+
+    // Cell values come from the uploaded file, set them as text
+    cells.forEach((value, index) => {
+      const td = document.createElement('td');
+      td.className = 'px-3 py-2 align-top' + (index === 1 ? ' max-w-[12rem] truncate' : '');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+
+    tr.lastChild.classList.add(row.errors.length > 0 ? 'text-red-600' : 'text-green-600');
+    batchRowsTable.appendChild(tr);
+  });
+
+  batchPreview.classList.remove('hidden');
+}
+
+async function handleBatchSubmit() {
+  if (!batchPayload) {
+    showStatus('error', 'Pilih file CSV atau JSON terlebih dahulu');
+    return;
+  }
+
+  if (!batchValid) {
+    showStatus('error', 'Masih ada baris yang tidak valid, perbaiki file terlebih dahulu');
+    return;
+  }
+
+  submitBtn.disabled = true;
+  submitBtn.innerHTML = `
+    <div class="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+    Memproses...
+  `;
+
+  showProgress();
+  updateProgress({ status: 'starting', progress: 0, message: 'Mengirim batch...' });
+
+  try {
+    const response = await fetch('/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...batchPayload, filename: batchFilenameInput.value.trim() || undefined })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.errors
+        ? result.errors.map(error => `Baris ${error.row}: ${error.message}`).join('; ')
+        : result.message);
+    }
+
+    console.log('✅ Batch started:', result);
+    currentTaskId = result.taskId;
+    connectToProgress(result.taskId);
+  } catch (error) {
+    console.error('❌ Error starting batch:', error);
+    showStatus('error', `Terjadi kesalahan: ${error.message}`);
+    hideProgress();
+    resetButton();
+  }
+}
+
+function resetBatch() {
+  batchFileInput.value = '';
+  batchFilenameInput.value = '';
+  batchPayload = null;
+  batchValid = false;
+  batchRowsTable.innerHTML = '';
+  batchPreview.classList.add('hidden');
+}
+
+// ===========================================
+// FRAME PREVIEW
+// ===========================================
+
+/**
+ * Show the frame at the input's timestamp (served by /frame)
+ */
+function updateFramePreview(input, img, container) {
+  const url = urlInput.value.trim();
+  const seconds = inputSeconds(input, null);
+
+  if (!MEDIA_URL_REGEX.test(url) || seconds === null) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  const src = `/frame?url=${encodeURIComponent(url)}&t=${encodeURIComponent(formatTime(seconds))}`;
+  container.classList.remove('hidden');
+  if (img.dataset.src === src) return;
+
+  // Dim the old frame until the new one arrives
+  img.dataset.src = src;
+  img.classList.add('opacity-50');
+  img.src = src;
+}
+
+function updateFramePreviews() {
+  updateFramePreview(startInput, startFrame, startFrameContainer);
+  updateFramePreview(endInput, endFrame, endFrameContainer);
+}
+
+function hideFramePreviews() {
+  [[startFrame, startFrameContainer], [endFrame, endFrameContainer]].forEach(([img, container]) => {
+    container.classList.add('hidden');
+    img.removeAttribute('src');
+    delete img.dataset.src;
+  });
+}
+
+// ===========================================
+// PLAYER
+// ===========================================
+
+// Called by the IFrame API script once it is loaded
+window.onYouTubeIframeAPIReady = () => {
+  console.log('✅ YouTube player API ready');
+  if (pendingPlayerVideoId) {
+    loadPlayer(pendingPlayerVideoId);
+  }
+};
+
+function loadPlayer(videoId) {
+  if (!videoId) return;
+  stopRangeLoop();
+
+  // API script not loaded yet
+  if (!window.YT || !window.YT.Player) {
+    pendingPlayerVideoId = videoId;
+    return;
+  }
+  pendingPlayerVideoId = null;
+
+  if (player) {
+    if (playerReady) {
+      player.cueVideoById(videoId);
+    } else {
+      pendingPlayerVideoId = videoId;
+    }
+    return;
+  }
+
+  player = new YT.Player('youtube-player', {
+    videoId,
+    width: '100%',
+    height: '100%',
+    playerVars: { rel: 0, modestbranding: 1, playsinline: 1 },
+    events: {
+      onReady: () => {
+        playerReady = true;
+        if (pendingPlayerVideoId) {
+          player.cueVideoById(pendingPlayerVideoId);
+          pendingPlayerVideoId = null;
+        }
+        setInterval(() => {
+          playerTime.textContent = formatTime(player.getCurrentTime() || 0, 3);
+        }, 100);
+      }
+    }
+  });
+}
+
+/**
+ * Copy the player's current time (ms precision) into a time input
+ */
+function setTimeFromPlayer(input) {
+  if (!playerReady) return;
+
+  input.value = formatTime(player.getCurrentTime(), 3);
+  // Let the timeline and frame preview pick up the new value
+  input.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Play the selected range over and over
+ */
+function toggleRangeLoop() {
+  if (rangeLoopTimer) {
+    stopRangeLoop();
+    player.pauseVideo();
+    return;
+  }
+
+  if (!playerReady) return;
+
+  const { start, end } = getInputRange();
+  if (start === null || end === null || end <= start) {
+    showStatus('error', 'Waktu mulai dan selesai belum valid untuk diputar');
+    return;
+  }
+
+  player.seekTo(start, true);
+  player.playVideo();
+  previewRangeLabel.textContent = 'Stop Loop';
+
+  rangeLoopTimer = setInterval(() => {
+    // Follow edits to the inputs while looping
+    const range = getInputRange();
+    if (range.start === null || range.end === null) return;
+
+    if (player.getCurrentTime() >= range.end || player.getCurrentTime() < range.start - 1) {
+      player.seekTo(range.start, true);
+    }
+  }, 100);
+}
+
+function stopRangeLoop() {
+  clearInterval(rangeLoopTimer);
+  rangeLoopTimer = null;
+  previewRangeLabel.textContent = 'Loop Rentang';
+}
+
+function handlePlayerShortcut(event) {
+  // Leave typing in form fields alone
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+  if (!playerReady || videoPreview.classList.contains('hidden') || playerSection.classList.contains('hidden')) return;
+
+  const actions = {
+    i: () => setTimeFromPlayer(startInput),
+    o: () => setTimeFromPlayer(endInput),
+    p: toggleRangeLoop
+  };
+
+  const action = actions[event.key.toLowerCase()];
+  if (action) {
+    event.preventDefault();
+    action();
+  }
+}
+
+// ===========================================
+// TIMELINE
+// ===========================================
+
+/**
+ * Fetch filmstrip and waveform; the first request for a video takes a while
+ */
+async function loadTimeline(url) {
+  timelineData = null;
+  timelineContainer.classList.remove('hidden');
+  timelineLoading.classList.remove('hidden');
+  timelineTrack.classList.add('hidden');
+
+  try {
+    const response = await fetch(`/timeline?url=${encodeURIComponent(url)}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to load timeline');
+    }
+
+    // Another video was entered in the meantime
+    if (urlInput.value.trim() !== url) return;
+
+    timelineData = result.data;
+    timelineFilmstrip.src = timelineData.filmstrip.url;
+    contactSheetBtn.href = timelineData.filmstrip.contactSheetUrl;
+    timelineDuration.textContent = formatTime(timelineData.duration, 1);
+
+    timelineLoading.classList.add('hidden');
+    timelineTrack.classList.remove('hidden');
+    drawWaveform();
+    updateTimelineHandles();
+
+    console.log('✅ Timeline loaded:', timelineData.filmstrip.count, 'thumbnails');
+  } catch (error) {
+    console.error('❌ Error loading timeline:', error);
+    timelineContainer.classList.add('hidden');
+  }
+}
+
+function hideTimeline() {
+  timelineData = null;
+  timelineContainer.classList.add('hidden');
+  timelineFilmstrip.removeAttribute('src');
+}
+
+/**
+ * Draw the waveform peaks, one bar per pixel column
+ */
+function drawWaveform() {
+  if (!timelineData) return;
+
+  const peaks = timelineData.waveform.peaks;
+  const ratio = window.devicePixelRatio || 1;
+  const width = timelineWaveform.clientWidth * ratio;
+  const height = timelineWaveform.clientHeight * ratio;
+  timelineWaveform.width = width;
+  timelineWaveform.height = height;
+
+  const ctx = timelineWaveform.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+  ctx.fillStyle = 'rgba(248, 113, 113, 0.9)';
+
+  for (let x = 0; x < width; x++) {
+    const from = Math.floor((x / width) * peaks.length);
+    const to = Math.max(from + 1, Math.floor(((x + 1) / width) * peaks.length));
+    const peak = Math.max(...peaks.slice(from, to));
+    const barHeight = Math.max(1, peak * height);
+    ctx.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+  }
+}
+
+// Start/end inputs in seconds (null when invalid), the end may be relative ("+20s")
+function getInputRange() {
+  const start = parseTime(startInput.value);
+  return { start, end: parseEnd(endInput.value, start) };
+}
+
+// Start or end input in seconds, fallback when the input is empty or invalid
+function inputSeconds(input, fallback) {
+  const range = getInputRange();
+  const seconds = input === endInput ? range.end : range.start;
+  return seconds === null ? fallback : seconds;
+}
+
+/**
+ * Position handles and selection from the start/end inputs
+ */
+function updateTimelineHandles() {
+  if (!timelineData) return;
+
+  const duration = timelineData.duration;
+  const toPercent = seconds => `${Math.min(100, Math.max(0, (seconds / duration) * 100))}%`;
+  const start = inputSeconds(startInput, 0);
+  const end = inputSeconds(endInput, duration);
+
+  timelineStartHandle.style.left = toPercent(start);
+  timelineEndHandle.style.left = toPercent(end);
+  timelineSelection.style.left = toPercent(start);
+  timelineSelection.style.width = `calc(${toPercent(end)} - ${toPercent(start)})`;
+}
+
+/**
+ * Drag the handles (or click the track to move the nearest one)
+ */
+function attachTimelineDrag() {
+  let dragging = null;
+
+  const pointerSeconds = (event) => {
+    const rect = timelineTrack.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    return fraction * timelineData.duration;
+  };
+
+  const moveHandle = (seconds) => {
+    const start = inputSeconds(startInput, 0);
+    const end = inputSeconds(endInput, timelineData.duration);
+
+    if (dragging === 'start') {
+      startInput.value = formatTime(Math.min(seconds, end - 0.1), 1);
+    } else {
+      endInput.value = formatTime(Math.max(seconds, start + 0.1), 1);
+    }
+    updateTimelineHandles();
+  };
+
+  timelineTrack.addEventListener('pointerdown', (event) => {
+    if (!timelineData) return;
+
+    const seconds = pointerSeconds(event);
+    if (event.target === timelineStartHandle || event.target === timelineEndHandle) {
+      dragging = event.target === timelineStartHandle ? 'start' : 'end';
+    } else {
+      const start = inputSeconds(startInput, 0);
+      const end = inputSeconds(endInput, timelineData.duration);
+      dragging = Math.abs(seconds - start) <= Math.abs(seconds - end) ? 'start' : 'end';
+    }
+
+    timelineTrack.setPointerCapture(event.pointerId);
+    moveHandle(seconds);
+  });
+
+  timelineTrack.addEventListener('pointermove', (event) => {
+    if (dragging) moveHandle(pointerSeconds(event));
+  });
+
+  const stopDragging = () => {
+    if (!dragging) return;
+    dragging = null;
+    updateFramePreviews();
+  };
+  timelineTrack.addEventListener('pointerup', stopDragging);
+  timelineTrack.addEventListener('pointercancel', stopDragging);
+}
+
 // ===========================================
 // FORMAT CHANGE
 // ===========================================
@@ -278,10 +1220,106 @@ async function handleUrlChange() {
 function handleFormatChange() {
   const selectedFormat = document.querySelector('input[name="format"]:checked').value;
 
-  if (selectedFormat === 'mp3') {
-    qualityContainer.classList.add('hidden');
-  } else {
-    qualityContainer.classList.remove('hidden');
+  const isAudio = AUDIO_FORMATS.includes(selectedFormat);
+  const isAnimation = ANIMATION_FORMATS.includes(selectedFormat);
+
+  // Audio and animations are always re-encoded, so precision only matters for video
+  qualityContainer.classList.toggle('hidden', isAudio || isAnimation);
+  precisionContainer.classList.toggle('hidden', isAudio || isAnimation);
+  animationContainer.classList.toggle('hidden', !isAnimation);
+  audioOptionsContainer.classList.toggle('hidden', isAnimation);
+
+  // Soft subs need a container with a subtitle track, burn-in needs video
+  const subtitleModeAllowed = {
+    soft: SOFT_SUBTITLE_FORMATS.includes(selectedFormat),
+    burn: !isAudio && !isAnimation,
+    srt: true,
+    vtt: true
+  };
+  Array.from(subtitleModeSelect.options).forEach(option => {
+    option.disabled = !subtitleModeAllowed[option.value];
+  });
+  if (!subtitleModeAllowed[subtitleModeSelect.value]) {
+    subtitleModeSelect.value = 'srt';
+  }
+
+  // Bitrate has no effect on lossless formats
+  bitrateContainer.classList.toggle('hidden', !isAudio || LOSSLESS_FORMATS.includes(selectedFormat));
+
+  // Opus rejects other sample rates ("Asli" lets ffmpeg pick a supported one)
+  const isOpus = OPUS_FORMATS.includes(selectedFormat);
+  Array.from(sampleRateSelect.options).forEach(option => {
+    option.disabled = isOpus && option.value !== '' && !OPUS_SAMPLE_RATES.includes(option.value);
+  });
+  if (sampleRateSelect.selectedOptions[0]?.disabled) {
+    sampleRateSelect.value = '';
+  }
+}
+
+// ===========================================
+// SEGMENTS
+// ===========================================
+
+function addSegmentRow(start = '00:00:00', end = '00:00:00') {
+  if (getSegments().length >= limits.maxSegments) {
+    showStatus('error', `Maksimal ${limits.maxSegments} segmen`);
+    return;
+  }
+
+  const row = document.createElement('div');
+  row.className = 'segment-row grid grid-cols-[1fr_1fr_auto] gap-3 items-center';
+  row.innerHTML = `
+    <input type="text" value="${start}" placeholder="Mulai (HH:mm:ss)" maxlength="${MAX_TIME_LENGTH}"
+      class="segment-start w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-red-500 focus:border-transparent transition-all font-mono" />
+    <input type="text" value="${end}" placeholder="Selesai (HH:mm:ss / +20s)" maxlength="${MAX_TIME_LENGTH}"
+      class="segment-end w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-red-500 focus:border-transparent transition-all font-mono" />
+    <button type="button" title="Hapus segmen"
+      class="segment-remove p-3 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-xl transition-all">
+      <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+      </svg>
+    </button>
+  `;
+
+  row.querySelector('.segment-remove').addEventListener('click', () => {
+    row.remove();
+    updateOutputModeVisibility();
+  });
+
+  segmentsList.appendChild(row);
+  updateOutputModeVisibility();
+  row.querySelector('.segment-start').focus();
+}
+
+function clearSegmentRows() {
+  segmentsList.innerHTML = '';
+  updateOutputModeVisibility();
+}
+
+// The first segment uses the main start/end inputs
+function getSegments() {
+  const segments = [{ start: startInput.value.trim(), end: endInput.value.trim() }];
+
+  segmentsList.querySelectorAll('.segment-row').forEach(row => {
+    segments.push({
+      start: row.querySelector('.segment-start').value.trim(),
+      end: row.querySelector('.segment-end').value.trim()
+    });
+  });
+
+  return segments;
+}
+
+function updateOutputModeVisibility() {
+  const hasMultiple = segmentsList.children.length > 0;
+  const hasChapters = chapters.length > 0;
+  outputModeContainer.classList.toggle('hidden', !hasMultiple && !hasChapters);
+  chaptersOutputOption.classList.toggle('hidden', !hasChapters);
+
+  // Fall back to concat when the chapter option goes away
+  const chaptersRadio = chaptersOutputOption.querySelector('input');
+  if (!hasChapters && chaptersRadio.checked) {
+    document.querySelector('input[name="output-mode"][value="concat"]').checked = true;
   }
 }
 
@@ -291,6 +1329,7 @@ function handleFormatChange() {
 
 function showProgress() {
   progressContainer.classList.remove('hidden');
+  cancelBtn.classList.remove('hidden');
   hideStatus();
 }
 
@@ -301,18 +1340,31 @@ function hideProgress() {
 function updateProgress(data) {
   progressBar.style.width = `${data.progress}%`;
   progressPercent.textContent = `${data.progress}%`;
-  progressStatus.textContent = data.status === 'downloading' ? 'Mengunduh Video...' :
-    data.status === 'trimming' ? 'Memotong Video...' :
-      data.status === 'cleaning' ? 'Membersihkan...' :
-        data.status === 'complete' ? 'Selesai!' :
-          data.status === 'error' ? 'Error!' : 'Memproses...';
-  progressMessage.textContent = data.message || '';
+  progressStatus.textContent = data.status === 'queued'
+    ? `Dalam Antrian (#${data.position})`
+    : STATUS_LABELS[data.status] || 'Memproses...';
+
+  // Speed and remaining time, when the server knows them
+  const details = [];
+  if (data.speed) details.push(data.speed);
+  if (data.eta !== null && data.eta !== undefined) details.push(`sisa ${formatEta(data.eta)}`);
+  // Source reused from the server's cache, or downloaded once for several tasks
+  if (data.cache === 'hit') details.push('dari cache');
+  if (data.cache === 'shared') details.push('unduhan bersama');
+  progressMessage.textContent = [data.message, ...details].filter(Boolean).join(' • ');
 
   // Change color on complete
   if (data.status === 'complete') {
     progressBar.style.background = 'linear-gradient(90deg, #22c55e, #16a34a)';
   } else if (data.status === 'error') {
     progressBar.style.background = 'linear-gradient(90deg, #ef4444, #dc2626)';
+  } else if (data.status === 'cancelled') {
+    progressBar.style.background = 'linear-gradient(90deg, #9ca3af, #6b7280)';
+  }
+
+  // Nothing left to cancel once the task has finished
+  if (['complete', 'error', 'cancelled'].includes(data.status)) {
+    cancelBtn.classList.add('hidden');
   }
 }
 
@@ -329,12 +1381,16 @@ function connectToProgress(taskId) {
     try {
       const data = JSON.parse(event.data);
       console.log('📊 Progress update:', data);
+
+      // The server sends the real state right after this
+      if (data.status === 'connected') return;
+
       updateProgress(data);
 
       if (data.status === 'complete' && data.filename) {
         // Success! Trigger download
         setTimeout(() => {
-          triggerDownload(data.filename);
+          triggerDownload(data.files || [data.filename]);
         }, 500);
 
         eventSource.close();
@@ -344,6 +1400,13 @@ function connectToProgress(taskId) {
         eventSource.close();
         eventSource = null;
         resetButton();
+      } else if (data.status === 'cancelled') {
+        showStatus('info', 'Proses dibatalkan.');
+        eventSource.close();
+        eventSource = null;
+        currentTaskId = null;
+        resetButton();
+        hideProgress();
       }
     } catch (e) {
       console.error('Error parsing progress:', e);
@@ -351,37 +1414,73 @@ function connectToProgress(taskId) {
   };
 
   eventSource.onerror = (error) => {
+    // EventSource reconnects by itself and resumes from the last event ID;
+    // only a closed stream needs a status check over REST
+    if (eventSource.readyState !== EventSource.CLOSED) {
+      console.warn('SSE connection lost, reconnecting...', error);
+      return;
+    }
+
     console.error('SSE Error:', error);
-    eventSource.close();
     eventSource = null;
+    checkTaskStatus(taskId);
   };
 }
 
+async function checkTaskStatus(taskId) {
+  try {
+    const response = await fetch(`/tasks/${encodeURIComponent(taskId)}`);
+    const result = await response.json();
+    if (!result.success || taskId !== currentTaskId) return;
+
+    const task = result.data;
+    if (task.status === 'complete' && task.output) {
+      updateProgress({ status: 'complete', progress: 100, message: task.message });
+      triggerDownload(task.output.files.map(file => file.filename));
+    } else if (task.status === 'error' || task.status === 'cancelled') {
+      updateProgress({ status: task.status, progress: 0, message: task.message });
+      showStatus('error', task.error || task.message || 'Terjadi kesalahan');
+      resetButton();
+    } else {
+      // Still running: listen again
+      setTimeout(() => connectToProgress(taskId), 3000);
+    }
+  } catch (e) {
+    console.error('Error checking task status:', e);
+  }
+}
+
 // ===========================================
 // DOWNLOAD TRIGGER
 // ===========================================
 
-function triggerDownload(filename) {
-  console.log('📥 Triggering download for:', filename);
+function triggerDownload(files) {
+  console.log('📥 Triggering download for:', files);
 
-  showStatus('success', `Video berhasil diproses! Mengunduh "${filename}"...`);
+  showStatus('success', files.length > 1
+    ? `Video berhasil diproses! Mengunduh ${files.length} file...`
+    : `Video berhasil diproses! Mengunduh "${files[0]}"...`);
 
   // Save to history
   addToHistory({
-    filename,
+    filename: files.join(', '),
     url: urlInput.value.trim(),
-    start: startInput.value.trim(),
-    end: endInput.value.trim(),
+    upload: uploadFile ? uploadFile.name : undefined,
+    segments: getSegments(),
     format: document.querySelector('input[name="format"]:checked')?.value || 'mp4'
   });
 
-  // Create a hidden link and click it
-  const link = document.createElement('a');
-  link.href = `/download/${encodeURIComponent(filename)}`;
-  link.download = filename;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
+  // Create a hidden link per file and click it (staggered so browsers allow it)
+  files.forEach((filename, index) => {
+    setTimeout(() => {
+      const link = document.createElement('a');
+      link.href = `/download/${encodeURIComponent(filename)}`;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    }, index * 800);
+  });
 
   // Reset button after short delay
   setTimeout(() => {
@@ -397,35 +1496,54 @@ function triggerDownload(filename) {
 async function handleSubmit() {
   console.log('🚀 Submit button clicked');
 
+  if (currentMode === 'batch') {
+    return handleBatchSubmit();
+  }
+
   const url = urlInput.value.trim();
-  const start = startInput.value.trim();
-  const end = endInput.value.trim();
-  const filename = filenameInput.value.trim() || 'video-part';
+  const segments = getSegments();
+  // Uploads without a name are named after the file by the server
+  const filename = filenameInput.value.trim() || (uploadFile ? undefined : 'video-part');
   const format = document.querySelector('input[name="format"]:checked').value;
   const quality = qualitySelect.value;
+  const precision = precisionSelect.value;
+  const audioBitrate = bitrateSelect.value;
+  const isAnimation = ANIMATION_FORMATS.includes(format);
+  const output = document.querySelector('input[name="output-mode"]:checked')?.value || 'concat';
 
-  console.log('📝 Form data:', { url, start, end, filename, format, quality });
+  console.log('📝 Form data:', { url, segments, output, filename, format, quality, precision, audioBitrate });
 
   // Validation
-  if (!url || !start || !end) {
-    showStatus('error', 'Harap isi semua field yang diperlukan (URL, Waktu Mulai, dan Waktu Selesai)');
+  if ((!url && !uploadFile) || segments.some(segment => !segment.start || !segment.end)) {
+    showStatus('error', 'Harap isi semua field yang diperlukan (URL atau file, Waktu Mulai, dan Waktu Selesai)');
     return;
   }
 
-  // Validate YouTube URL
-  const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com|youtu\.be)\/.+/;
-  if (!youtubeRegex.test(url)) {
-    showStatus('error', 'URL tidak valid. Harap masukkan URL YouTube yang valid.');
+  // Validate URL
+  if (!uploadFile && !MEDIA_URL_REGEX.test(url)) {
+    showStatus('error', 'URL tidak valid. Harap masukkan URL video yang valid.');
     return;
   }
 
-  // Validate time format
-  const timeRegex = /^(\d{1,2}:)?\d{1,2}:\d{2}(\.\d+)?$/;
-  if (!timeRegex.test(start) || !timeRegex.test(end)) {
-    showStatus('error', 'Format waktu tidak valid. Gunakan format HH:mm:ss atau mm:ss');
+  // Validate time format, same rules as the server
+  const ranges = segments.map(segment => {
+    const start = parseTime(segment.start);
+    return { start, end: parseEnd(segment.end, start) };
+  });
+  if (ranges.some(range => range.start === null || range.end === null)) {
+    showStatus('error', 'Format waktu tidak valid. Gunakan HH:mm:ss, mm:ss, detik atau 1m30s; waktu selesai juga bisa +20s');
     return;
   }
 
+  // GIF/WebP clips have a shorter limit
+  if (isAnimation) {
+    const totalSeconds = ranges.reduce((sum, range) => sum + range.end - range.start, 0);
+    if (totalSeconds > limits.maxAnimationSeconds) {
+      showStatus('error', `Durasi maksimal GIF/WebP adalah ${limits.maxAnimationSeconds} detik`);
+      return;
+    }
+  }
+
   console.log('✅ Validation passed');
 
   // Disable button during processing
@@ -442,29 +1560,51 @@ async function handleSubmit() {
   try {
     console.log('📡 Sending request to server...');
 
-    const response = await fetch('/trim', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        url,
-        start,
-        end,
-        filename,
-        format,
-        quality
-      })
-    });
+    const options = {
+      segments,
+      output,
+      filename,
+      format,
+      quality,
+      precision,
+      audioBitrate,
+      fps: isAnimation ? animationFpsSelect.value : undefined,
+      width: isAnimation ? animationWidthSelect.value : undefined,
+      loop: isAnimation ? animationLoopCheckbox.checked : undefined,
+      normalize: normalizeCheckbox.checked,
+      fadeIn: parseFloat(fadeInInput.value) || 0,
+      fadeOut: parseFloat(fadeOutInput.value) || 0,
+      mono: monoCheckbox.checked,
+      sampleRate: sampleRateSelect.value || undefined,
+      subtitleLang: subtitleLangSelect.value || undefined,
+      subtitleMode: subtitleLangSelect.value ? subtitleModeSelect.value : undefined,
+      // No chapter checked = every chapter
+      chapters: output === 'chapters' && getSelectedChapters().length > 0 ? getSelectedChapters() : undefined
+    };
+
+    // A local file goes to /upload with the same options, a link to /trim
+    let response;
+    let result;
+
+    if (uploadFile) {
+      ({ response, result } = await sendUpload(uploadFile, options));
+    } else {
+      response = await fetch('/trim', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ url, ...options })
+      });
+      result = await response.json();
+    }
 
     console.log('📥 Response received:', response.status);
 
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.message || `Server error: ${response.status}`);
+      throw new Error(result.message || `Server error: ${response.status}`);
     }
 
-    const result = await response.json();
     console.log('✅ Result:', result);
 
     if (result.success && result.taskId) {
@@ -491,6 +1631,42 @@ async function handleSubmit() {
   }
 }
 
+// ===========================================
+// CANCEL
+// ===========================================
+
+async function cancelTask(taskId) {
+  const response = await fetch(`/tasks/${encodeURIComponent(taskId)}`, { method: 'DELETE' });
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.message || `Server error: ${response.status}`);
+  }
+  return result;
+}
+
+async function handleCancel() {
+  // Still uploading: no task on the server yet
+  if (uploadRequest) {
+    uploadRequest.abort();
+    return;
+  }
+
+  if (!currentTaskId) return;
+
+  console.log('🛑 Cancelling task:', currentTaskId);
+  cancelBtn.disabled = true;
+
+  try {
+    await cancelTask(currentTaskId);
+  } catch (error) {
+    console.error('❌ Error cancelling task:', error);
+    showStatus('error', `Gagal membatalkan: ${error.message}`);
+  } finally {
+    cancelBtn.disabled = false;
+  }
+}
+
 // ===========================================
 // RESET
 // ===========================================
@@ -507,6 +1683,8 @@ function resetButton() {
 
 function handleReset() {
   // Reset form values
+  if (uploadRequest) uploadRequest.abort();
+  clearUploadFile();
   urlInput.value = '';
   startInput.value = '00:00:00';
   endInput.value = '00:00:00';
@@ -514,10 +1692,38 @@ function handleReset() {
   document.getElementById('format-mp4').checked = true;
   qualitySelect.value = '720';
   qualityContainer.classList.remove('hidden');
+  precisionSelect.value = 'fast';
+  precisionContainer.classList.remove('hidden');
+  bitrateSelect.value = '192';
+  bitrateContainer.classList.add('hidden');
+  animationFpsSelect.value = '12';
+  animationWidthSelect.value = '480';
+  animationLoopCheckbox.checked = true;
+  animationContainer.classList.add('hidden');
+  normalizeCheckbox.checked = false;
+  monoCheckbox.checked = false;
+  fadeInInput.value = '0';
+  fadeOutInput.value = '0';
+  sampleRateSelect.value = '';
+  audioOptionsContainer.classList.remove('hidden');
+  updateSubtitleLanguages(null);
+  videoDuration = 0;
+  updateChapters(null);
+  updateSuggestedSegments(null);
+  timestampPasteInput.value = '';
+  resetBatch();
+  Array.from(subtitleModeSelect.options).forEach(option => { option.disabled = false; });
+  subtitleModeSelect.value = 'soft';
+  clearSegmentRows();
+  document.querySelector('input[name="output-mode"][value="concat"]').checked = true;
 
   // Hide preview and messages
   videoPreview.classList.add('hidden');
   videoPreviewLoading.classList.add('hidden');
+  hideFramePreviews();
+  hideTimeline();
+  stopRangeLoop();
+  if (playerReady) player.stopVideo();
   hideStatus();
   hideProgress();
 
@@ -525,6 +1731,12 @@ function handleReset() {
   progressBar.style.width = '0%';
   progressBar.style.background = '';
 
+  // Stop the running task on the server, not just our view of it
+  if (currentTaskId && submitBtn.disabled) {
+    cancelTask(currentTaskId).catch(error => console.warn('Could not cancel task:', error));
+  }
+  currentTaskId = null;
+
   // Close SSE connection
   if (eventSource) {
     eventSource.close();
@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+/**
+ * YT-Trimmer CLI
+ * Non-interactive commands for shell scripts and CI:
+ *
+ *   trim --url <url> --from <time> --to <time> [--from <time> --to <time> ...] [--format mp4] [--out file]
+ *   batch <jobs.json|jobs.csv> [--out-dir dir]
+ *   info <url>
+ *
+ * --json prints one JSON object per line (progress events, then the result).
+ * Exit codes: 0 success, 1 processing failed, 2 invalid usage or input.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const validators = require('../utils/validators');
+const { FORMATS } = require('../utils/formats');
+const { parseBatchRows } = require('../utils/batch');
+const { listChapters } = require('../utils/chapters');
+const { listLanguages } = require('../utils/subtitles');
+const { getVideoInfo, resolveClip, resolveTrimBody } = require('../utils/videoInfo');
+const { formatTime } = require('../utils/time');
+const providers = require('../utils/providers');
+const robots = require('../robots');
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2 };
+
+// The CLI cuts with stream copy or a full re-encode, smart cuts are server only
+const CLI_PRECISION_MODES = ['fast', 'accurate'];
+
+const USAGE = `Penggunaan:
+  yt-trimmer trim --url <url> --from <waktu> --to <waktu> [--from <waktu> --to <waktu> ...] [opsi]
+  yt-trimmer batch <jobs.json|jobs.csv> [--out-dir <folder>] [opsi]
+  yt-trimmer info <url> [--json]
+
+Opsi trim:
+  --format <format>     ${config.video.supportedFormats.join(', ')} (default: dari ekstensi --out, atau mp4)
+  --quality <tinggi>    ${config.video.supportedQualities.join(', ')} (default: 720)
+  --precision <mode>    fast (stream copy) atau accurate (re-encode), smart hanya di server
+  --bitrate <kbps>      Bitrate audio untuk mp3, m4a, opus
+  --out <file>          File output (default: video-part.<format>)
+                        Beberapa pasang --from/--to digabung berurutan ke file ini
+
+Waktu: 01:02:03.500, 2:03, 123.5 (detik) atau 1h2m3.5s; --to juga bisa relatif: +20s, "duration 45"
+
+Umum:
+  --json                Progress dan hasil sebagai JSON, satu objek per baris
+  -h, --help            Tampilkan bantuan ini
+
+Exit code: 0 berhasil, 1 proses gagal, 2 perintah atau input tidak valid`;
+
+const OPTIONS = {
+  url: { type: 'string' },
+  from: { type: 'string', multiple: true },
+  to: { type: 'string', multiple: true },
+  format: { type: 'string' },
+  quality: { type: 'string' },
+  precision: { type: 'string' },
+  bitrate: { type: 'string' },
+  out: { type: 'string' },
+  'out-dir': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Error caused by the command line or its input (exit code 2)
+ */
+class UsageError extends Error { }
+
+// ===========================================
+// OUTPUT
+// ===========================================
+
+/**
+ * Progress and result printer: JSON lines on stdout, or text with progress on stderr
+ */
+function createReporter(json) {
+  let lastPercent = null;
+
+  const emit = (event) => process.stdout.write(`${JSON.stringify(event)}\n`);
+
+  return {
+    progress(data) {
+      if (json) return emit({ type: 'progress', ...data });
+
+      // Redraw in place on a terminal, one line per 10% in logs
+      if (process.stderr.isTTY) {
+        process.stderr.write(`\r${data.label} ${data.percent}%${data.speed ? ` (${data.speed}x)` : ''}   `);
+        if (data.percent >= 100) process.stderr.write('\n');
+      } else if (lastPercent === null || Math.floor(data.percent / 10) > Math.floor(lastPercent / 10)) {
+        process.stderr.write(`${data.label} ${data.percent}%\n`);
+      }
+      lastPercent = data.percent >= 100 ? null : data.percent;
+    },
+
+    result(data, text) {
+      if (json) return emit({ type: 'result', ...data });
+      console.log(text);
+    },
+
+    error(message, extra = {}) {
+      if (json) return emit({ type: 'error', message, ...extra });
+      console.error(`❌ ${message}`);
+    }
+  };
+}
+
+// ===========================================
+// COMMANDS
+// ===========================================
+
+/**
+ * Validate one trim through the server's validators
+ * @returns {Object} Validated data with the output path
+ */
+function prepareTrim(input, output) {
+  const validation = validators.validateTrimRequest({ ...input, output: 'concat' });
+
+  if (!validation.isValid) {
+    throw new UsageError(validation.errors.join('. '));
+  }
+  if (!CLI_PRECISION_MODES.includes(validation.data.precision)) {
+    throw new UsageError(`Precision ${validation.data.precision} tidak didukung CLI, gunakan ${CLI_PRECISION_MODES.join(' atau ')}`);
+  }
+
+  return { ...validation.data, output };
+}
+
+/**
+ * Cut every segment of a trim and write the result to `part.output`.
+ * Several segments are cut into a per-run temp directory and joined in order
+ * @param {Object} part - Result of prepareTrim
+ * @param {Function} onProgress - Called with { percent, speed, segment }
+ */
+async function runTrim(part, onProgress) {
+  const { segments } = part;
+
+  if (segments.length === 1) {
+    const [segment] = segments;
+    await robots.download({ ...part, start: segment.start, duration: segment.duration }, onProgress);
+    return { reencoded: false };
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-trimmer-'));
+
+  try {
+    const files = [];
+
+    for (const [index, segment] of segments.entries()) {
+      const file = path.join(workDir, `part-${String(index).padStart(2, '0')}.${part.format}`);
+
+      // Cutting takes 95% of the bar, joining the rest
+      await robots.download(
+        { ...part, start: segment.start, duration: segment.duration, output: file },
+        ({ percent, speed }) => onProgress({
+          percent: Math.round(((index + percent / 100) / segments.length) * 95),
+          speed,
+          segment: index + 1
+        })
+      );
+      files.push(file);
+    }
+
+    onProgress({ percent: 95, segment: null });
+    const { reencoded } = await robots.concat({
+      parts: files,
+      output: part.output,
+      format: part.format,
+      workDir,
+      audioBitrate: part.audioBitrate
+    });
+    onProgress({ percent: 100, segment: null });
+
+    return { reencoded };
+  } finally {
+    await robots.cleaner(workDir);
+  }
+}
+
+/**
+ * --from / --to pairs as segments, undefined when neither is given so the
+ * range of a timestamped link or YouTube Clip is used
+ */
+function readSegments(values) {
+  const from = values.from || [];
+  const to = values.to || [];
+
+  if (from.length === 0 && to.length === 0) return undefined;
+
+  if (from.length !== to.length) {
+    throw new UsageError('Setiap --from harus punya pasangan --to');
+  }
+
+  return from.map((start, index) => ({ start, end: to[index] }));
+}
+
+/**
+ * Swap a YouTube Clip for its source video and range
+ */
+async function resolveLink(body) {
+  try {
+    return await resolveTrimBody(body);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+async function trimCommand(values, reporter) {
+  const out = values.out ? path.resolve(values.out) : null;
+  const outExtension = out ? path.extname(out).slice(1).toLowerCase() : '';
+
+  // The output extension picks the format when --format is missing
+  const format = values.format || (FORMATS[outExtension] ? outExtension : 'mp4');
+  if (values.format && !config.video.supportedFormats.includes(values.format)) {
+    throw new UsageError(`Format harus salah satu dari: ${config.video.supportedFormats.join(', ')}`);
+  }
+
+  const output = out
+    ? (outExtension === format ? out : `${out}.${format}`)
+    : path.resolve(`${validators.sanitizeFilename(undefined)}.${format}`);
+
+  const part = prepareTrim(await resolveLink({
+    url: values.url,
+    segments: readSegments(values),
+    format,
+    quality: values.quality,
+    precision: values.precision,
+    audioBitrate: values.bitrate,
+    filename: path.basename(output, path.extname(output))
+  }), output);
+
+  const { reencoded } = await runTrim(part, ({ percent, speed, segment }) => reporter.progress({
+    label: segment ? `Segmen ${segment}/${part.segments.length}` : (part.segments.length > 1 ? 'Menggabungkan' : 'Memproses'),
+    percent,
+    speed,
+    ...(segment && { segment })
+  }));
+
+  reporter.result(
+    {
+      success: true,
+      file: output,
+      segments: part.segments,
+      duration: part.duration,
+      format: part.format,
+      ...(part.segments.length > 1 && { reencoded })
+    },
+    `✅ Selesai: ${output}${reencoded ? ' (codec bagian berbeda, di-encode ulang)' : ''}`
+  );
+  return EXIT.OK;
+}
+
+/**
+ * Rows of a batch file: JSON array / { rows } or CSV
+ */
+function readBatchFile(file) {
+  if (!file) {
+    throw new UsageError('File batch wajib diisi, contoh: yt-trimmer batch jobs.json');
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (error) {
+    throw new UsageError(`File batch tidak dapat dibaca: ${error.message}`);
+  }
+
+  let body;
+  if (path.extname(file).toLowerCase() === '.csv') {
+    body = { csv: text };
+  } else {
+    try {
+      const parsed = JSON.parse(text);
+      body = { rows: Array.isArray(parsed) ? parsed : parsed.rows };
+    } catch (error) {
+      throw new UsageError(`File JSON tidak valid: ${error.message}`);
+    }
+  }
+
+  const { error, rows } = parseBatchRows(body);
+  if (error) throw new UsageError(error);
+
+  // CLI flags are --from / --to, accept the same names in the file
+  return rows.map(row => ({ ...row, start: row.start || row.from, end: row.end || row.to }));
+}
+
+async function batchCommand(values, positionals, reporter) {
+  const rows = readBatchFile(positionals[0]);
+  const outDir = path.resolve(values['out-dir'] || '.');
+
+  // Every row is checked before anything is downloaded
+  const parts = [];
+  const invalid = [];
+
+  for (const [index, row] of rows.entries()) {
+    try {
+      const part = prepareTrim(await resolveLink(row), null);
+      // Numbered like the server's batch ZIP, so names stay unique
+      part.output = path.join(outDir, `${String(index + 1).padStart(2, '0')}-${part.filename}.${part.format}`);
+      parts.push(part);
+    } catch (error) {
+      invalid.push({ row: index + 1, message: error.message });
+    }
+  }
+
+  if (invalid.length > 0) {
+    invalid.forEach(({ row, message }) => reporter.error(`Baris ${row}: ${message}`, { row }));
+    throw new UsageError(`${invalid.length} baris tidak valid, batch tidak dijalankan`);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const results = [];
+  for (const [index, part] of parts.entries()) {
+    const row = index + 1;
+    const label = `Baris ${row}/${parts.length}`;
+
+    try {
+      await runTrim(part, ({ percent, speed }) => reporter.progress({ label, row, percent, speed }));
+      results.push({ row, success: true, file: part.output });
+    } catch (error) {
+      reporter.error(`Baris ${row}: ${error.message}`, { row });
+      results.push({ row, success: false, error: error.message });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  reporter.result(
+    { success: succeeded === results.length, succeeded, failed: results.length - succeeded, results },
+    `${succeeded === results.length ? '✅' : '⚠️'} ${succeeded}/${results.length} baris berhasil, output di ${outDir}`
+  );
+
+  return succeeded === results.length ? EXIT.OK : EXIT.FAILED;
+}
+
+async function infoCommand(values, positionals, reporter) {
+  const input = positionals[0] || values.url;
+  const url = providers.sanitizeMediaUrl(input);
+  if (!url) {
+    throw new UsageError('URL tidak valid atau situs tidak didukung');
+  }
+
+  const info = await getVideoInfo(url);
+  // Clips report their section, other links their t= / start= / end=
+  const link = providers.isClipUrl(url) ? await resolveClip(url, info) : { url, ...validators.getUrlRange(input) };
+  const source = providers.resolveProvider(link.url);
+
+  const data = {
+    id: source.mediaId,
+    provider: source.key,
+    url: link.url,
+    range: link.start !== null || link.end !== null ? { start: link.start, end: link.end } : null,
+    title: info.title || 'Unknown Title',
+    uploader: info.uploader || 'Unknown',
+    duration: info.duration || 0,
+    durationFormatted: info.duration_string || '00:00',
+    chapters: listChapters(info),
+    subtitles: listLanguages(info)
+  };
+
+  const chapterLines = data.chapters.map((chapter, index) =>
+    `  ${String(index + 1).padStart(2, '0')}. ${formatTime(chapter.start)} - ${formatTime(chapter.end)}  ${chapter.title}`);
+
+  reporter.result({ success: true, info: data }, [
+    data.title,
+    `Channel : ${data.uploader}`,
+    `Durasi  : ${data.durationFormatted}`,
+    ...(data.range ? [`Rentang : ${data.range.start !== null ? formatTime(data.range.start) : '-'} - ${data.range.end !== null ? formatTime(data.range.end) : '-'}`] : []),
+    `Subtitle: ${[...data.subtitles.manual, ...data.subtitles.auto.map(lang => `${lang} (otomatis)`)].join(', ') || '-'}`,
+    ...(chapterLines.length > 0 ? ['Chapter :', ...chapterLines] : [])
+  ].join('\n'));
+
+  return EXIT.OK;
+}
+
+// ===========================================
+// MAIN
+// ===========================================
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without node and the script path
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  // stdout belongs to the CLI output, log files still get everything
+  logger.transports.forEach(transport => {
+    if (transport.name === 'console') transport.silent = true;
+  });
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...rest] = positionals;
+  const reporter = createReporter(values.json);
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? EXIT.OK : EXIT.USAGE;
+  }
+
+  try {
+    switch (command) {
+      case 'trim':
+        return await trimCommand(values, reporter);
+      case 'batch':
+        return await batchCommand(values, rest, reporter);
+      case 'info':
+        return await infoCommand(values, rest, reporter);
+      default:
+        throw new UsageError(`Perintah tidak dikenal: ${command}`);
+    }
+  } catch (error) {
+    reporter.error(error.message);
+    return error instanceof UsageError ? EXIT.USAGE : EXIT.FAILED;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { run };
@@ -1,40 +1,48 @@
-const robots = require('../robots')
-const data = {
-  url: 'https://www.youtube.com/watch?v=gBmnB7BwSRA',
-  intervals: [
-    ['00:01:19', '00:01:40'],
-    ['00:04:30', '00:05:00']
-  ],
-  concat: true
-}
-
-;(async () => {
-  try {
-    const content = data
+const fs = require('fs')
+const { run } = require('./cli')
 
-    await Promise.all(
-      data.intervals.map(async ([from, to], index) => {
-        const part = {
-          url: content.url,
-          from,
-          to,
-          filename: `part-${index}`
-        }
-        await robots.download(part)
+/*
+ * Multi-part job from a JSON file, cut and joined in the listed order:
+ *
+ *   {
+ *     "url": "https://www.youtube.com/watch?v=VIDEO_ID",
+ *     "intervals": [["00:01:19", "00:01:40"], ["00:04:30", "00:05:00"]],
+ *     "filename": "final.mp4"
+ *   }
+ *
+ * Runs `cli.js trim` with one --from/--to pair per interval, extra
+ * arguments (e.g. --json, --format) are passed through
+ */
+const start = async () => {
+  const [file, ...extra] = process.argv.slice(2)
 
-        if (content.concat) {
-          content.parts = content.parts
-            ? [...content.parts, part.filename]
-            : [part.filename]
-        }
-      })
-    )
+  if (!file) {
+    console.error('❌ Penggunaan: npm run trimall -- job.json [opsi trim]')
+    process.exitCode = 2
+    return
+  }
 
-    if (content.concat) {
-      await robots.concat(content)
-      await robots.cleaner()
-    }
+  let job
+  try {
+    job = JSON.parse(fs.readFileSync(file, 'utf-8'))
   } catch (err) {
-    console.log('Error waiting for robots:\n\n ', err)
+    console.error(`❌ File job tidak valid: ${err.message}`)
+    process.exitCode = 2
+    return
   }
-})()
+
+  const intervals = Array.isArray(job.intervals) ? job.intervals : []
+  const args = [
+    'trim',
+    '--url', String(job.url || ''),
+    ...intervals.flatMap(([from, to] = []) => ['--from', String(from || ''), '--to', String(to || '')])
+  ]
+
+  if (job.filename) {
+    args.push('--out', job.filename)
+  }
+
+  process.exitCode = await run([...args, ...extra])
+}
+
+start()
@@ -1,12 +1,16 @@
 const robots = require('../robots')
+const { run } = require('./cli')
 
+// Interactive variant of `cli.js trim`: asks for the values, then runs the same command
 const start = async () => {
-  try {
-    const content = await robots.input()
-    await robots.download(content)
-  } catch (err) {
-    console.log('Error waiting for robots:\n\n ', err)
+  const content = robots.input()
+  const args = ['trim', '--url', content.url, '--from', content.from, '--to', content.to]
+
+  if (content.filename) {
+    args.push('--out', content.filename)
   }
+
+  process.exitCode = await run(args)
 }
 
 start()
@@ -1,4 +1,5 @@
-require('dotenv').config();
+// Quiet: the CLI's --json output must stay machine-readable
+require('dotenv').config({ quiet: true });
 
 /**
  * Application Configuration
@@ -10,18 +11,114 @@ const config = {
     nodeEnv: process.env.NODE_ENV || 'development',
     isDev: process.env.NODE_ENV !== 'production',
 
+    // Media Sites (providers in utils/providers.js)
+    sites: {
+        // youtube, vimeo, twitch, generic (= the hosts below)
+        allowed: (process.env.ALLOWED_SITES || 'youtube,vimeo,twitch').split(',').map(site => site.trim()).filter(Boolean),
+        // Extra hosts handed to yt-dlp as-is, e.g. conference archives (needs "generic" in ALLOWED_SITES)
+        extraHosts: (process.env.EXTRA_SITE_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    },
+
     // Rate Limiting
     rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,
         max: parseInt(process.env.RATE_LIMIT_MAX) || 10
     },
 
+    // Frame Previews
+    preview: {
+        // Stream URLs from yt-dlp expire after a few hours, keep them well below that
+        streamUrlTtlMs: parseInt(process.env.STREAM_URL_TTL_MS) || 3600000,
+        maxHeight: 480,
+        frameWidth: 320,
+        // Frames are requested while the user types, so they get their own limit
+        rateLimitMax: parseInt(process.env.PREVIEW_RATE_LIMIT_MAX) || 120
+    },
+
+    // Timeline (filmstrip sprite + audio waveform, cached per video)
+    timeline: {
+        cacheDir: process.env.TIMELINE_CACHE_DIR || 'data/timeline',
+        cacheTtlMs: parseInt(process.env.TIMELINE_CACHE_TTL_MS) || 86400000,
+        thumbnails: 20,
+        thumbnailWidth: 160,
+        thumbnailHeight: 90,
+        contactSheetColumns: 5,
+        waveformPeaks: 1000,
+        // Long streams need the whole audio track for the waveform
+        timeoutMs: parseInt(process.env.TIMELINE_TIMEOUT_MS) || 600000,
+        // Builds running at once, the rest wait (they are outside the trim job queue)
+        concurrency: parseInt(process.env.TIMELINE_CONCURRENCY) || 1
+    },
+
+    // Source Cache (full downloads shared by trims of the same video)
+    sourceCache: {
+        dir: process.env.SOURCE_CACHE_DIR || 'data/sources',
+        // Total size of cached downloads, 0 turns the cache off
+        maxSizeMB: process.env.SOURCE_CACHE_MAX_MB === '0' ? 0 : parseInt(process.env.SOURCE_CACHE_MAX_MB) || 2048
+    },
+
+    // Job Queue
+    queue: {
+        concurrency: parseInt(process.env.MAX_CONCURRENT_JOBS) || 2
+    },
+
+    // Progress Streams (SSE)
+    sse: {
+        heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS) || 15000,
+        retryMs: 3000,
+        bufferSize: 200,
+        bufferTtlMs: parseInt(process.env.SSE_BUFFER_TTL_MS) || 600000
+    },
+
+    // Task History
+    tasks: {
+        storeFile: process.env.TASK_STORE_FILE || 'data/tasks.json',
+        maxEntries: parseInt(process.env.TASK_HISTORY_MAX) || 500
+    },
+
+    // Batch Jobs (CSV / JSON upload, one ZIP result)
+    batch: {
+        maxRows: parseInt(process.env.BATCH_MAX_ROWS) || 100
+    },
+
     // Video Processing
     video: {
         maxDurationSeconds: parseInt(process.env.MAX_DURATION_SECONDS) || 600,
         maxFileSizeMB: parseInt(process.env.MAX_FILE_SIZE_MB) || 500,
-        supportedFormats: ['mp4', 'mp3'],
-        supportedQualities: ['360', '720', '1080']
+        supportedFormats: ['mp4', 'webm', 'mkv', 'mov', 'mp3', 'm4a', 'opus', 'wav', 'flac', 'gif', 'webp'],
+        supportedQualities: ['360', '720', '1080'],
+        // kbps for lossy audio formats (mp3, m4a, opus)
+        audioBitrates: ['96', '128', '192', '256', '320'],
+        defaultAudioBitrate: process.env.DEFAULT_AUDIO_BITRATE || '192',
+        maxSegments: parseInt(process.env.MAX_SEGMENTS) || 20,
+        // Characters accepted by POST /timestamps (pasted comments, setlists)
+        maxTimestampListLength: 20000,
+        // 'range' fetches only the requested sections, 'full' downloads the whole video first
+        downloadMode: process.env.DOWNLOAD_MODE === 'full' ? 'full' : 'range',
+        // chapters = one file per chapter, delivered as a ZIP
+        outputModes: ['concat', 'separate', 'chapters'],
+        // fast = stream copy (keyframe cuts), accurate = re-encode, smart = re-encode only around the cuts
+        precisionModes: ['fast', 'accurate', 'smart'],
+        // soft = embedded track, burn = drawn into the picture, srt / vtt = separate file
+        subtitleModes: ['soft', 'burn', 'srt', 'vtt'],
+        // Animated GIF / WebP clips get large quickly, so they have their own limits
+        animation: {
+            maxDurationSeconds: parseInt(process.env.MAX_ANIMATION_DURATION_SECONDS) || 15,
+            defaultFps: 12,
+            maxFps: 30,
+            defaultWidth: 480,
+            maxWidth: 1280
+        }
+    },
+
+    // Audio Post-processing
+    audio: {
+        // EBU R128 loudness targets for loudnorm
+        loudnessTarget: parseFloat(process.env.LOUDNESS_TARGET) || -16,
+        truePeak: -1.5,
+        loudnessRange: 11,
+        sampleRates: ['22050', '44100', '48000'],
+        maxFadeSeconds: 10
     },
 
     // Disk Space
@@ -1,7 +1,10 @@
-const { exec } = require('./utils.js')
+/**
+ * Cleaner robot
+ * Removes the temp directory of one run, parts and list file included
+ */
 
-module.exports = async function () {
-  const cmd = `find . -type f -iname "part*.mp4" | xargs rm`
-  await exec(cmd)
-  await exec('rm mylist.txt')
-}
+const fs = require('fs');
+
+module.exports = async function cleaner(workDir) {
+  fs.rmSync(workDir, { recursive: true, force: true });
+};
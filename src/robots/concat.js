@@ -1,23 +1,87 @@
-const { exec } = require('./utils.js')
+/**
+ * Concat robot
+ * Joins cut parts into one file in the given order. The concat demuxer can
+ * only stream-copy parts with identical codecs, so mismatched parts are
+ * re-encoded to the output format first
+ */
 
-const createConcatFile = async () => {
-  await exec('touch mylist.txt')
-  const cmd = `for f in part*.mp4; do echo file $f >> mylist.txt; done`
-  await exec(cmd)
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const execFile = util.promisify(require('child_process').execFile);
+const { getCodecArgs } = require('../utils/formats');
+const { getVideoCodec, getAudioCodec } = require('../utils/mediaProbe');
+
+/**
+ * "video/audio" codec pair of a file, e.g. "h264/aac"
+ */
+async function getCodecs(file) {
+  return `${await getVideoCodec(file)}/${await getAudioCodec(file)}`;
 }
 
-module.exports = async function (content) {
-  await createConcatFile()
+/**
+ * Re-encode a part to the output format's codecs
+ */
+async function normalize(file, target, format, audioBitrate) {
+  await execFile('ffmpeg', [
+    '-v', 'error',
+    '-y',
+    '-i', file,
+    ...getCodecArgs(format, { reencode: true, audioBitrate }),
+    target
+  ]);
+
+  return target;
+}
 
-  const ffmpegConcat = `ffmpeg -f concat -safe 0 \
-  -i mylist.txt -c copy \
-  -copyts final.mp4`
+/**
+ * Join parts into `output`
+ * @param {Object} job
+ * @param {string[]} job.parts - Part files, in playback order
+ * @param {string} job.output - Final file path
+ * @param {string} job.format - Output format
+ * @param {string} job.workDir - Per-run temp directory for the list file and re-encoded parts
+ * @param {string} [job.audioBitrate]
+ * @returns {Promise<{ output: string, reencoded: boolean }>}
+ */
+async function concat({ parts, output, format, workDir, audioBitrate }) {
+  if (parts.length === 0) {
+    throw new Error('Tidak ada bagian untuk digabung');
+  }
 
-  console.log('CONCAT ===================')
-  try {
-    await exec(ffmpegConcat)
-    console.log('\n\nCONCAT DONE ===================')
-  } catch (err) {
-    throw new Error(err)
+  const codecs = [];
+  for (const part of parts) {
+    codecs.push(await getCodecs(part));
   }
+
+  const reencoded = new Set(codecs).size > 1;
+  let inputs = parts;
+
+  if (reencoded) {
+    inputs = [];
+    for (const [index, part] of parts.entries()) {
+      const target = path.join(workDir, `normalized-${String(index).padStart(2, '0')}${path.extname(output)}`);
+      inputs.push(await normalize(part, target, format, audioBitrate));
+    }
+  }
+
+  // Absolute paths with quotes escaped for the concat demuxer
+  const listFile = path.join(workDir, 'parts.txt');
+  fs.writeFileSync(listFile, inputs
+    .map(file => `file '${path.resolve(file).replace(/'/g, "'\\''")}'`)
+    .join('\n'));
+
+  await execFile('ffmpeg', [
+    '-v', 'error',
+    '-y',
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', listFile,
+    '-c', 'copy',
+    output
+  ]);
+
+  return { output, reencoded };
 }
+
+module.exports = concat;
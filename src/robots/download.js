@@ -1,68 +1,100 @@
-const { execSync } = require('child_process');
-const readline = require('readline-sync'); // Kita pinjam alat input
-
-// Fungsi konversi waktu ke detik
-function timeToSeconds(timeString) {
-  if (!timeString) return 0;
-  const parts = timeString.toString().split(':');
-  let seconds = 0;
-  let multiplier = 1;
-  while (parts.length > 0) {
-    seconds += multiplier * parseInt(parts.pop(), 10);
-    multiplier *= 60;
-  }
-  return seconds;
-}
+/**
+ * Download robot
+ * Cuts one section of a YouTube video straight from its streams and
+ * converts it to the output format, without prompting
+ */
 
-async function download(content) {
-  console.log('\n---------------------------------------');
+const util = require('util');
+const { execFile, spawn } = require('child_process');
+const { getFormat, getFormatSelector, getCodecArgs } = require('../utils/formats');
+const { getVideoCodec } = require('../utils/mediaProbe');
+const { createFfmpegProgressParser } = require('../utils/progressParser');
+const { parseTime, toFfmpegTime } = require('../utils/time');
 
-  // 1. CEK WAKTU: Jika tidak terbaca, TANYA LAGI MANUAL
-  let startTime = content.startTime || content.start;
-  let endTime = content.endTime || content.end;
+const execFileAsync = util.promisify(execFile);
 
-  if (!startTime) {
-    console.log('⚠️ Waktu mulai tidak terdeteksi otomatis.');
-    startTime = readline.question('Masukkan Waktu Mulai (contoh 00:03:01): ');
-  }
+/**
+ * Direct stream URLs for the output format (video + audio, or a single stream)
+ */
+async function getStreamUrls(url, format, quality) {
+  const { stdout } = await execFileAsync('yt-dlp', ['-f', getFormatSelector(format, quality), '-g', url], {
+    timeout: 60000
+  });
+  const streamUrls = stdout.split('\n').map(line => line.trim()).filter(Boolean);
 
-  if (!endTime) {
-    console.log('⚠️ Waktu selesai tidak terdeteksi otomatis.');
-    endTime = readline.question('Masukkan Waktu Selesai (contoh 00:04:05): ');
+  if (streamUrls.length === 0 || streamUrls.some(streamUrl => !/^https?:\/\//.test(streamUrl))) {
+    throw new Error('Stream URL tidak ditemukan');
   }
 
-  // Hitung durasi
-  const startSec = timeToSeconds(startTime);
-  const endSec = timeToSeconds(endTime);
-  const duration = endSec - startSec;
-
-  // Validasi Durasi
-  if (duration <= 0) {
-    console.error(`❌ Durasi tidak valid (${duration} detik). Cek input waktumu.`);
-    return;
-  }
+  return streamUrls;
+}
 
-  // Nama file
-  let fileName = content.fileName || content.filename || 'video_potong.mp4';
-  if (!fileName.endsWith('.mp4')) fileName += '.mp4';
+/**
+ * Run ffmpeg, rejecting with the last line of its error output
+ */
+function runFfmpeg(args, onProgress) {
+  return new Promise((resolve, reject) => {
+    const ffProcess = spawn('ffmpeg', ['-progress', 'pipe:1', '-nostats', ...args]);
+    let errorOutput = '';
 
-  console.log(`\n> 🎬 DATA FINAL: Start=${startTime} | End=${endTime} | Durasi=${duration}s`);
+    ffProcess.stdout.on('data', createFfmpegProgressParser(onProgress));
+    ffProcess.stderr.on('data', (data) => {
+      errorOutput = (errorOutput + data.toString()).slice(-2000);
+    });
 
-  try {
-    // 2. DOWNLOAD & TRIM
-    const videoUrl = execSync(`yt-dlp -f "bestvideo[height<=1080][ext=mp4]/bestvideo" -g "${content.url}"`, { shell: true }).toString().trim();
-    const audioUrl = execSync(`yt-dlp -f "bestaudio[ext=m4a]/bestaudio" -g "${content.url}"`, { shell: true }).toString().trim();
+    ffProcess.on('close', (code) => {
+      if (code === 0) return resolve();
 
-    const command = `ffmpeg -ss ${startTime} -i "${videoUrl}" -ss ${startTime} -i "${audioUrl}" -t ${duration} -c:v copy -c:a aac -preset ultrafast -y "${fileName}"`;
+      const lastLine = errorOutput.trim().split('\n').pop();
+      reject(new Error(`ffmpeg exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+    });
 
-    console.log('> ⏳ Memproses di FFmpeg...');
-    execSync(command, { stdio: 'inherit', shell: true });
+    ffProcess.on('error', reject);
+  });
+}
 
-    console.log(`\n✅ SUKSES! File: ${fileName}`);
+/**
+ * Download one section and write it to `part.output`
+ * @param {Object} part - Validated trim data plus the output path
+ * @param {string} part.url
+ * @param {string} part.start - Start time (HH:MM:SS.mmm)
+ * @param {number} part.duration - Length in seconds
+ * @param {string} part.format
+ * @param {string} part.quality
+ * @param {string} [part.precision] - fast (stream copy) or accurate (re-encode)
+ * @param {string} [part.audioBitrate]
+ * @param {Object} [part.animation] - { fps, width, loop } for gif / webp
+ * @param {string} part.output - Output file path
+ * @param {Function} [onProgress] - Called with { percent, speed }
+ * @returns {Promise<string>} Output file path
+ */
+async function download(part, onProgress = () => { }) {
+  const { url, start, duration, format, quality, precision, audioBitrate, animation, output } = part;
+  const spec = getFormat(format);
+  const sources = await getStreamUrls(url, format, quality);
 
-  } catch (error) {
-    console.error('\n❌ ERROR:', error.message);
+  // Containers that only take certain codecs need a re-encode when the source does not fit
+  let reencode = precision === 'accurate';
+  if (!reencode && spec.type === 'video' && spec.copyCodecs) {
+    reencode = !spec.copyCodecs.includes(await getVideoCodec(sources[0]));
   }
+
+  const mapArgs = sources.length > 1 && spec.type !== 'animation' ? ['-map', '0:v:0', '-map', '1:a:0'] : [];
+
+  await runFfmpeg([
+    '-y',
+    ...sources.flatMap(source => ['-ss', toFfmpegTime(parseTime(start)), '-i', source]),
+    ...mapArgs,
+    '-t', toFfmpegTime(duration),
+    ...getCodecArgs(format, { reencode, audioBitrate, animation }),
+    '-avoid_negative_ts', 'make_zero',
+    output
+  ], ({ outTime, speed }) => onProgress({
+    percent: Math.min(100, Math.round((outTime / duration) * 100)),
+    speed
+  }));
+
+  return output;
 }
 
 module.exports = download;
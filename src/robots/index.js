@@ -1,9 +1,6 @@
-const input = require('./input')
-const download = require('./download')
-const concat = require('./concat')
-const cleaner = require('./cleaner')
-
 module.exports = {
-    input: require('./input'),     // fungsi untuk nanya url/waktu
-    download: require('./download') // fungsi download yang kita edit tadi
+    input: require('./input'),       // fungsi untuk nanya url/waktu
+    download: require('./download'), // potong satu bagian video
+    concat: require('./concat'),     // gabungkan bagian sesuai urutan
+    cleaner: require('./cleaner')    // hapus folder temp satu run
 }
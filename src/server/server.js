@@ -5,7 +5,7 @@
 
 const express = require('express');
 const path = require('path');
-const { spawn, exec } = require('child_process');
+const { exec } = require('child_process');
 const util = require('util');
 const cors = require('cors');
 const fs = require('fs');
@@ -15,16 +15,45 @@ const config = require('../config');
 const logger = require('../utils/logger');
 const validators = require('../utils/validators');
 const { diskSpaceMiddleware, checkAvailableSpace } = require('../utils/diskChecker');
+const JobQueue = require('../utils/jobQueue');
+const taskStore = require('../utils/taskStore');
+const { FINAL_STATUSES } = taskStore;
+const progressHub = require('../utils/progressHub');
+const { spawnProcess, killProcessTree } = require('../utils/processTree');
+const { getVideoCodec, getDuration, getKeyframes, extractFrame } = require('../utils/mediaProbe');
+const streamCache = require('../utils/streamCache');
+const sourceCache = require('../utils/sourceCache');
+const timeline = require('../utils/timeline');
+const { parseYtDlpProgress, createFfmpegProgressParser, estimateEta } = require('../utils/progressParser');
+const { getFormat, getMimeType, isExtraDownload, SUBTITLE_FORMATS, isAudioFormat, isAnimationFormat, getFormatSelector, getCodecArgs } = require('../utils/formats');
+const { getLoudnormMeasureArgs, parseLoudnormStats, getAudioFilterArgs } = require('../utils/audioFilters');
+const { parseSubtitles, shiftCues, toSrt, toVtt, listLanguages } = require('../utils/subtitles');
+const { listChapters, parseTimestampList, selectChapters, chaptersToSegments, getChapterFilename } = require('../utils/chapters');
+const { createZip } = require('../utils/archive');
+const { parseBatchRows, buildManifest } = require('../utils/batch');
+const { getVideoInfo, resolveClip, resolveTrimBody } = require('../utils/videoInfo');
+const { parseTime, toFfmpegTime, formatTime } = require('../utils/time');
+const providers = require('../utils/providers');
+const { UPLOAD_EXTENSIONS, createUploadMiddleware, getUploadError, inspectUpload } = require('../utils/upload');
 
 const execPromise = util.promisify(exec);
 const app = express();
 
-// Store for SSE connections and task progress
-const progressStreams = new Map();
-const taskProgress = new Map();
+// Running tasks: spawned child processes and files, used for cancellation
+const activeTasks = new Map();
 
-// Rate limiting - simple in-memory store
-const rateLimitStore = new Map();
+// Running batches: batchId -> { id, rows, archiveFile, cancelled }, and the batch of every row task
+const batches = new Map();
+const batchOfTask = new Map();
+
+// Rate limiting - simple in-memory stores, one per limiter
+const rateLimitStores = [];
+
+// Job queue - limits how many trims run at once
+const jobQueue = new JobQueue({
+  concurrency: config.queue.concurrency,
+  onPositionChange: (taskId, position) => sendQueuedProgress(taskId, position)
+});
 
 // ===========================================
 // MIDDLEWARE
@@ -40,43 +69,56 @@ app.use((req, res, next) => {
   next();
 });
 
-// Rate limiter middleware
-function rateLimiter(req, res, next) {
-  const ip = req.ip || req.connection?.remoteAddress || 'unknown';
-  const now = Date.now();
+/**
+ * Create a rate limiter middleware allowing `max` requests per window and IP
+ */
+function createRateLimiter(max) {
+  const rateLimitStore = new Map();
+  rateLimitStores.push(rateLimitStore);
 
-  if (!rateLimitStore.has(ip)) {
-    rateLimitStore.set(ip, { count: 1, startTime: now });
-    return next();
-  }
+  return function rateLimiter(req, res, next) {
+    const ip = req.ip || req.connection?.remoteAddress || 'unknown';
+    const now = Date.now();
 
-  const record = rateLimitStore.get(ip);
+    if (!rateLimitStore.has(ip)) {
+      rateLimitStore.set(ip, { count: 1, startTime: now });
+      return next();
+    }
 
-  if (now - record.startTime > config.rateLimit.windowMs) {
-    rateLimitStore.set(ip, { count: 1, startTime: now });
-    return next();
-  }
+    const record = rateLimitStore.get(ip);
 
-  if (record.count >= config.rateLimit.max) {
-    logger.warn('Rate limit exceeded', { ip, count: record.count });
-    return res.status(429).json({
-      success: false,
-      message: 'Terlalu banyak request. Silakan tunggu 1 menit.'
-    });
-  }
+    if (now - record.startTime > config.rateLimit.windowMs) {
+      rateLimitStore.set(ip, { count: 1, startTime: now });
+      return next();
+    }
 
-  record.count++;
-  next();
+    if (record.count >= max) {
+      logger.warn('Rate limit exceeded', { ip, count: record.count });
+      return res.status(429).json({
+        success: false,
+        message: 'Terlalu banyak request. Silakan tunggu 1 menit.'
+      });
+    }
+
+    record.count++;
+    next();
+  };
 }
 
+// Rate limiter middleware
+const rateLimiter = createRateLimiter(config.rateLimit.max);
+const previewRateLimiter = createRateLimiter(config.preview.rateLimitMax);
+
 // Cleanup old rate limit entries periodically
 setInterval(() => {
   const now = Date.now();
-  for (const [ip, record] of rateLimitStore.entries()) {
-    if (now - record.startTime > config.rateLimit.windowMs) {
-      rateLimitStore.delete(ip);
+  rateLimitStores.forEach(rateLimitStore => {
+    for (const [ip, record] of rateLimitStore.entries()) {
+      if (now - record.startTime > config.rateLimit.windowMs) {
+        rateLimitStore.delete(ip);
+      }
     }
-  }
+  });
 }, 60000);
 
 // ===========================================
@@ -89,359 +131,1362 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, config.paths.public, 'index.html'));
 });
 
+// The UI parses time inputs with the server's own module
+app.get('/lib/time.js', (req, res) => {
+  res.sendFile(path.join(__dirname, '../utils/time.js'));
+});
+
+// Limits the UI checks before submitting, so they follow the server's .env
+app.get('/limits', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      maxSegments: config.video.maxSegments,
+      maxDurationSeconds: config.video.maxDurationSeconds,
+      maxAnimationSeconds: config.video.animation.maxDurationSeconds,
+      maxFileSizeMB: config.video.maxFileSizeMB
+    }
+  });
+});
+
 // ===========================================
 // GET VIDEO INFO (for preview)
 // ===========================================
 
+/**
+ * Range of a shared link as "HH:MM:SS" strings for the form, null when it has none
+ */
+function formatLinkRange({ start, end }) {
+  if (start === null && end === null) return null;
+
+  return {
+    start: start !== null ? formatTime(start) : null,
+    end: end !== null ? formatTime(end) : null
+  };
+}
+
 app.get('/video-info', rateLimiter, async (req, res) => {
   const { url } = req.query;
 
-  const sanitizedUrl = validators.sanitizeYouTubeUrl(url);
-  if (!sanitizedUrl) {
+  const media = providers.resolveProvider(url);
+  if (!media) {
     return res.status(400).json({
       success: false,
-      message: 'URL YouTube tidak valid'
+      message: 'URL tidak valid atau situs tidak didukung'
     });
   }
 
-  const videoId = validators.extractVideoId(sanitizedUrl);
+  const sanitizedUrl = media.url;
+  const isClip = Boolean(media.provider.clip);
 
   try {
-    logger.info('Fetching video info', { url: sanitizedUrl, videoId });
+    logger.info('Fetching video info', { url: sanitizedUrl, provider: media.key, videoId: media.mediaId });
 
     // Get video info using yt-dlp
-    const cmd = `yt-dlp --dump-json --no-download "${sanitizedUrl}"`;
-    const { stdout } = await execPromise(cmd, {
-      maxBuffer: 1024 * 1024 * 5,
-      timeout: 30000
-    });
+    const info = await getVideoInfo(sanitizedUrl);
 
-    const info = JSON.parse(stdout);
+    // Range to pre-fill: the clip's section, or the link's t= / start= / end=
+    const link = isClip ? await resolveClip(sanitizedUrl, info) : { url: sanitizedUrl, ...validators.getUrlRange(url) };
+    const source = isClip ? providers.resolveProvider(link.url) : media;
 
     res.json({
       success: true,
       data: {
-        id: videoId,
+        id: source.mediaId,
+        provider: source.key,
+        url: link.url,
+        range: formatLinkRange(link),
         title: info.title || 'Unknown Title',
         duration: info.duration || 0,
         durationFormatted: info.duration_string || '00:00',
-        thumbnail: info.thumbnail || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+        thumbnail: info.thumbnail || source.provider.thumbnail(source.id),
         uploader: info.uploader || 'Unknown',
         viewCount: info.view_count || 0,
         formats: {
           video: config.video.supportedQualities,
-          audio: ['mp3']
-        }
+          containers: config.video.supportedFormats.filter(format => getFormat(format).type === 'video'),
+          audio: config.video.supportedFormats.filter(isAudioFormat),
+          animation: config.video.supportedFormats.filter(isAnimationFormat)
+        },
+        subtitles: listLanguages(info),
+        chapters: listChapters(info),
+        // Timestamp lines in the description, for videos without formal chapters
+        suggestedSegments: parseTimestampList(info.description, info.duration)
       }
     });
 
   } catch (error) {
     logger.error('Error fetching video info', { error: error.message, url: sanitizedUrl });
 
-    // Fallback - return basic info using video ID
+    // A clip has no video ID to fall back on
+    if (isClip) {
+      return res.status(502).json({
+        success: false,
+        message: 'YouTube Clip tidak dapat dibaca'
+      });
+    }
+
+    // Fallback - basic info from the provider
+    const fallback = providers.getFallbackInfo(url);
+
     res.json({
       success: true,
       data: {
-        id: videoId,
-        title: 'Video YouTube',
+        id: media.mediaId,
+        provider: fallback.provider,
+        url: sanitizedUrl,
+        range: formatLinkRange(validators.getUrlRange(url)),
+        title: fallback.title,
         duration: 0,
         durationFormatted: '??:??',
-        thumbnail: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+        thumbnail: fallback.thumbnail,
         uploader: 'Unknown',
         viewCount: 0,
         formats: {
           video: config.video.supportedQualities,
-          audio: ['mp3']
-        }
+          containers: config.video.supportedFormats.filter(format => getFormat(format).type === 'video'),
+          audio: config.video.supportedFormats.filter(isAudioFormat),
+          animation: config.video.supportedFormats.filter(isAnimationFormat)
+        },
+        subtitles: { manual: [], auto: [] },
+        chapters: [],
+        suggestedSegments: []
+      }
+    });
+  }
+});
+
+// ===========================================
+// TIMESTAMP LISTS
+// ===========================================
+
+/**
+ * Parse a pasted timestamp list (comment, setlist) into labelled segments,
+ * same parser as the description in /video-info
+ */
+app.post('/timestamps', rateLimiter, (req, res) => {
+  const { text } = req.body;
+  const duration = parseFloat(req.body.duration);
+
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Daftar timestamp kosong'
+    });
+  }
+
+  if (text.length > config.video.maxTimestampListLength) {
+    return res.status(400).json({
+      success: false,
+      message: `Daftar timestamp maksimal ${config.video.maxTimestampListLength} karakter`
+    });
+  }
+
+  const segments = parseTimestampList(text, duration > 0 ? duration : undefined);
+
+  res.json({
+    success: true,
+    data: { segments }
+  });
+});
+
+// ===========================================
+// FRAME PREVIEW
+// ===========================================
+
+// Video-only stream, small enough for quick seeks
+const PREVIEW_SELECTOR = `bestvideo[height<=${config.preview.maxHeight}]/best[height<=${config.preview.maxHeight}]/best`;
+
+/**
+ * JPEG of the frame at a timestamp, e.g. /frame?url=...&t=00:01:23.4
+ */
+app.get('/frame', previewRateLimiter, async (req, res) => {
+  const media = providers.resolveProvider(req.query.url);
+  const seconds = parseTime(req.query.t);
+
+  if (!media || seconds === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'URL atau waktu tidak valid'
+    });
+  }
+
+  const sanitizedUrl = media.url;
+  const videoId = media.mediaId;
+
+  const grabFrame = async () => {
+    const [streamUrl] = await streamCache.getStreamUrls(videoId, sanitizedUrl, PREVIEW_SELECTOR);
+    return extractFrame(streamUrl, seconds, config.preview.frameWidth);
+  };
+
+  try {
+    let frame;
+    try {
+      frame = await grabFrame();
+    } catch (error) {
+      // The cached stream URL may have expired, retry once with a fresh one
+      logger.debug('Frame grab failed, refreshing stream URL', { videoId, error: error.message });
+      streamCache.invalidate(videoId);
+      frame = await grabFrame();
+    }
+
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.send(frame);
+
+  } catch (error) {
+    logger.warn('Error extracting frame', { videoId, seconds, error: error.message });
+    res.status(502).json({
+      success: false,
+      message: 'Frame tidak bisa diambil'
+    });
+  }
+});
+
+// ===========================================
+// TIMELINE (filmstrip + waveform)
+// ===========================================
+
+// Smallest audio stream is plenty for peaks
+const WAVEFORM_SELECTOR = 'worstaudio/bestaudio/worst';
+
+const TIMELINE_FILES = ['filmstrip.jpg', 'contact-sheet.jpg'];
+
+/**
+ * Filmstrip sprite and waveform peaks of a video, built once and cached
+ */
+app.get('/timeline', previewRateLimiter, async (req, res) => {
+  const media = providers.resolveProvider(req.query.url);
+
+  if (!media) {
+    return res.status(400).json({
+      success: false,
+      message: 'URL tidak valid atau situs tidak didukung'
+    });
+  }
+
+  const sanitizedUrl = media.url;
+  const videoId = media.mediaId;
+
+  try {
+    const data = await timeline.getTimeline(videoId, async () => {
+      const [video] = await streamCache.getStreamUrls(videoId, sanitizedUrl, PREVIEW_SELECTOR);
+      const [audio] = await streamCache.getStreamUrls(videoId, sanitizedUrl, WAVEFORM_SELECTOR);
+      const duration = await getDuration(video) || await getDuration(audio);
+
+      if (!duration) {
+        throw new Error('Durasi video tidak diketahui');
       }
+
+      return { video, audio, duration };
+    });
+
+    res.json({ success: true, data });
+
+  } catch (error) {
+    logger.error('Error building timeline', { videoId, error: error.message });
+    streamCache.invalidate(videoId);
+    res.status(502).json({
+      success: false,
+      message: 'Timeline tidak bisa dibuat'
     });
   }
 });
 
+/**
+ * Cached timeline images; the contact sheet is sent as a download
+ */
+app.get('/timeline/:videoId/:file', (req, res) => {
+  const { videoId, file } = req.params;
+
+  if (!providers.MEDIA_ID_PATTERN.test(videoId) || !TIMELINE_FILES.includes(file)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Request tidak valid'
+    });
+  }
+
+  const filePath = timeline.getFilePath(videoId, file);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      message: 'File tidak ditemukan'
+    });
+  }
+
+  if (file === 'contact-sheet.jpg') {
+    res.setHeader('Content-Disposition', `attachment; filename="${videoId}-contact-sheet.jpg"`);
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.sendFile(filePath);
+});
+
 // ===========================================
 // SSE PROGRESS ENDPOINT
 // ===========================================
 
 app.get('/progress/:taskId', (req, res) => {
   const { taskId } = req.params;
+  const record = taskStore.get(taskId);
+
+  if (!record && !progressHub.latest(taskId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task tidak ditemukan'
+    });
+  }
+
+  // Tasks from before a restart only exist in the store
+  const fallback = record && {
+    status: record.status,
+    progress: record.progress,
+    message: record.message,
+    filename: record.output?.filename
+  };
+
+  progressHub.subscribe(taskId, req, res, fallback);
+});
+
+/**
+ * Send progress update to SSE subscribers and the task store
+ */
+function sendProgress(taskId, data) {
+  progressHub.publish(taskId, data);
+  taskStore.applyProgress(taskId, data);
+  logger.task(taskId, data.status, data.message || '', { progress: data.progress });
+
+  // Rows of a batch also move the batch's aggregate progress. Queue position
+  // updates are skipped: every job start moves all waiting rows, and the
+  // aggregate does not change while a row waits
+  if (batchOfTask.has(taskId) && data.status !== 'queued') {
+    updateBatchProgress(batchOfTask.get(taskId), taskId, data);
+  }
+}
+
+/**
+ * Send queued status with the job's position in line
+ */
+function sendQueuedProgress(taskId, position) {
+  sendProgress(taskId, {
+    status: 'queued',
+    progress: 0,
+    position,
+    message: `Menunggu giliran... posisi antrian #${position}`
+  });
+}
+
+// ===========================================
+// TRIM ENDPOINT (Main functionality)
+// ===========================================
+
+function createTaskId(prefix = 'task') {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Output files of a trim, plus a sidecar .srt / .vtt next to every clip
+ * One file per segment in separate mode, otherwise a single (joined) file.
+ * Chapter files are temp files named after the chapter, zipped at the end
+ * @returns {{outputFiles: Array<{name, path}>, subtitleFiles: Array<{name, path}>}}
+ */
+function planOutputFiles(taskId, tempFile, { segments, output, filename, format, subtitles }, chapters = null) {
+  const outputFiles = chapters
+    ? chapters.map((chapter, index) => ({
+      name: getChapterFilename(chapter, index, format),
+      path: path.join(path.dirname(tempFile), `temp_${taskId}_chapter${index}.${format}`)
+    }))
+    : (segments.length > 1 && output === 'separate'
+      ? segments.map((_, index) => `${filename}-${index + 1}.${format}`)
+      : [`${filename}.${format}`]
+    ).map(name => ({ name, path: path.join(__dirname, `../../${name}`) }));
+
+  const subtitleFiles = subtitles && SUBTITLE_FORMATS[subtitles.mode]
+    ? outputFiles.map(file => {
+      const replaceExtension = name => `${name.slice(0, -path.extname(name).length)}.${subtitles.mode}`;
+      return { name: replaceExtension(file.name), path: replaceExtension(file.path) };
+    })
+    : [];
+
+  return { outputFiles, subtitleFiles };
+}
+
+app.post('/trim', rateLimiter, diskSpaceMiddleware, async (req, res) => {
+  logger.info('Received trim request', { body: { ...req.body, url: '[REDACTED]' } });
+
+  // YouTube Clips are trimmed from their source video, the clip's range fills missing times
+  let body;
+  try {
+    body = await resolveTrimBody(req.body);
+  } catch (error) {
+    logger.error('Error resolving clip', { error: error.cause ? error.cause.message : error.message });
+    return res.status(502).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  // Split by chapters: the segments come from the video's chapter list
+  let chapters = null;
+
+  if (body.output === 'chapters') {
+    const chapterUrl = providers.sanitizeMediaUrl(body.url);
+    if (!chapterUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'URL tidak valid atau situs tidak didukung'
+      });
+    }
+
+    try {
+      chapters = listChapters(await getVideoInfo(chapterUrl));
+    } catch (error) {
+      logger.error('Error fetching chapters', { error: error.message });
+      return res.status(502).json({
+        success: false,
+        message: 'Gagal mengambil daftar chapter video'
+      });
+    }
+
+    if (chapters.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Video ini tidak memiliki chapter'
+      });
+    }
+
+    chapters = selectChapters(chapters, body.chapters);
+    if (!chapters) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pilihan chapter tidak valid'
+      });
+    }
+
+    body = { ...body, segments: chaptersToSegments(chapters) };
+  }
+
+  // Validate all inputs
+  const validation = validators.validateTrimRequest(body);
+
+  if (!validation.isValid) {
+    logger.warn('Validation failed', { errors: validation.errors });
+    return res.status(400).json({
+      success: false,
+      message: validation.errors.join('. ')
+    });
+  }
+
+  sendTrimStarted(res, enqueueTrim(createTaskId(), validation.data, { chapters }));
+});
+
+/**
+ * Plan the output files of a validated trim, record the task and queue it
+ * @param {string} taskId
+ * @param {Object} data - validateTrimRequest() data
+ * @param {Object} [options]
+ * @param {Array} [options.chapters] - Selected chapters (output "chapters")
+ * @param {string} [options.input] - Local source file, skips yt-dlp
+ * @param {Object} [options.upload] - { name, size } of an uploaded source, kept in the task record
+ * @returns {{taskId: string, position: number}}
+ */
+function enqueueTrim(taskId, data, { chapters = null, input = null, upload = null } = {}) {
+  const { url, segments, duration, output, filename, format, quality, precision, audioBitrate, animation, audio, subtitles } = data;
+
+  const tempFile = path.join(__dirname, `../../temp_${taskId}.${format}`);
+  const { outputFiles, subtitleFiles } = planOutputFiles(taskId, tempFile, data, chapters);
+
+  const archiveFile = chapters
+    ? { name: `${filename}.zip`, path: path.join(__dirname, `../../${filename}.zip`) }
+    : null;
+  const fileNames = archiveFile
+    ? [archiveFile.name]
+    : [...outputFiles, ...subtitleFiles].map(file => file.name);
+
+  logger.info('Processing trim request', {
+    taskId,
+    segments,
+    duration,
+    output,
+    format,
+    quality,
+    precision,
+    audioBitrate,
+    animation,
+    audio,
+    subtitles,
+    upload,
+    files: fileNames
+  });
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  taskStore.create(taskId, { url, ...(upload && { upload }), segments, duration, output, format, quality, precision, audioBitrate, animation, audio, subtitles, files: fileNames });
 
-  // Send initial connection message
-  res.write(`data: ${JSON.stringify({ status: 'connected', progress: 0 })}\n\n`);
+  // Process in background, waiting in line if all workers are busy
+  const position = jobQueue.enqueue(taskId, () => processVideo(taskId, {
+    url,
+    input,
+    segments,
+    output,
+    format,
+    quality,
+    precision,
+    audioBitrate,
+    animation,
+    audio,
+    subtitles,
+    tempFile,
+    outputFiles,
+    subtitleFiles,
+    archiveFile
+  }));
 
-  // Store the response object
-  progressStreams.set(taskId, res);
+  if (position > 0) {
+    sendQueuedProgress(taskId, position);
+  }
 
-  logger.debug('SSE connection established', { taskId });
+  return { taskId, position };
+}
 
-  // Cleanup on close
-  req.on('close', () => {
-    progressStreams.delete(taskId);
-    logger.debug('SSE connection closed', { taskId });
+/**
+ * Initial response of a queued trim, progress follows on /progress/:taskId
+ */
+function sendTrimStarted(res, { taskId, position }) {
+  res.json({
+    success: true,
+    taskId: taskId,
+    queuePosition: position,
+    message: position > 0
+      ? `Proses masuk antrian (posisi #${position}). Silakan pantau progress.`
+      : 'Proses dimulai. Silakan pantau progress.'
+  });
+}
+
+// ===========================================
+// UPLOAD ENDPOINT (local files, no yt-dlp)
+// ===========================================
+
+const handleUpload = createUploadMiddleware(path.join(__dirname, '../../'));
+
+/**
+ * Trim an uploaded video or audio file with the same pipeline as /trim
+ * Multipart form: the file in "file", the /trim options (without url) as
+ * JSON in "options". The file is the task's source and is deleted with its
+ * temp files
+ */
+app.post('/upload', rateLimiter, diskSpaceMiddleware, (req, res) => {
+  // The upload is named after the task before the form is read
+  req.taskId = createTaskId();
+
+  handleUpload(req, res, async (error) => {
+    if (error) {
+      const { status, message } = getUploadError(error);
+      logger.warn('Upload rejected', { taskId: req.taskId, error: error.message });
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: `Pilih file video atau audio (${UPLOAD_EXTENSIONS.join(', ')})`
+      });
+    }
+
+    const upload = { name: req.file.originalname, size: req.file.size };
+    const reject = (status, message) => {
+      try { fs.unlinkSync(req.file.path); } catch (e) { }
+      res.status(status).json({
+        success: false,
+        message
+      });
+    };
+
+    logger.info('Received upload', { taskId: req.taskId, upload });
+
+    let body;
+    try {
+      body = JSON.parse(req.body.options || '{}');
+    } catch (e) {
+      body = null;
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return reject(400, 'Opsi upload tidak valid');
+    }
+
+    // Without a filename the clip is named after the uploaded file
+    if (!body.filename) {
+      body.filename = path.basename(upload.name, path.extname(upload.name));
+    }
+
+    const validation = validators.validateTrimRequest(body, { local: true });
+    const errors = validation.isValid
+      ? await inspectUpload(req.file.path, validation.data)
+      : validation.errors;
+
+    if (errors.length > 0) {
+      logger.warn('Upload validation failed', { taskId: req.taskId, errors });
+      return reject(400, errors.join('. '));
+    }
+
+    sendTrimStarted(res, enqueueTrim(req.taskId, validation.data, { input: req.file.path, upload }));
   });
 });
 
 /**
- * Send progress update to SSE client
+ * Register a spawned child process so it can be killed on cancel
+ */
+function trackProcess(taskId, child) {
+  const task = activeTasks.get(taskId);
+  if (!task) return;
+
+  task.processes.add(child);
+  child.on('close', () => task.processes.delete(child));
+}
+
+/**
+ * Throw if the task was cancelled while between processing steps
+ */
+function throwIfCancelled(taskId) {
+  const task = activeTasks.get(taskId);
+  if (task && task.cancelled) {
+    throw new Error('Proses dibatalkan');
+  }
+}
+
+/**
+ * Run ffmpeg as a tracked child process
+ * @param {string} taskId
+ * @param {string[]} args - ffmpeg arguments
+ * @param {Function} [onProgress] - Called with { outTime, speed } from `-progress pipe:1`
+ * @returns {Promise<string>} Tail of the ffmpeg log (stderr)
+ */
+function runFfmpeg(taskId, args, onProgress) {
+  return new Promise((resolve, reject) => {
+    const progressArgs = onProgress ? ['-progress', 'pipe:1', '-nostats'] : [];
+    const ffProcess = spawnProcess('ffmpeg', [...progressArgs, ...args]);
+    trackProcess(taskId, ffProcess);
+
+    let errorOutput = '';
+
+    if (onProgress) {
+      ffProcess.stdout.on('data', createFfmpegProgressParser(onProgress));
+    }
+
+    ffProcess.stderr.on('data', (data) => {
+      errorOutput = (errorOutput + data.toString()).slice(-2000);
+    });
+
+    ffProcess.on('close', (code) => {
+      if (code === 0) {
+        resolve(errorOutput);
+      } else {
+        logger.error('ffmpeg failed', { taskId, code, errorOutput: errorOutput.substring(errorOutput.length - 500) });
+        reject(new Error(`ffmpeg exited with code ${code}`));
+      }
+    });
+
+    ffProcess.on('error', (err) => {
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Delete every temp file that belongs to a task
+ */
+function cleanupTaskFiles(taskId, tempFile) {
+  try {
+    const dir = path.dirname(tempFile);
+    const files = fs.readdirSync(dir);
+
+    files.forEach(file => {
+      if (file.includes(taskId) || file.startsWith(path.basename(tempFile, path.extname(tempFile)))) {
+        const fullPath = path.join(dir, file);
+        if (fs.existsSync(fullPath)) {
+          try { fs.unlinkSync(fullPath); } catch (e) { }
+        }
+      }
+    });
+  } catch (e) { }
+}
+
+/**
+ * Find the actual downloaded file (yt-dlp may add format suffix)
+ */
+function findDownloadedFile(basePath) {
+  const dir = path.dirname(basePath);
+  const basename = path.basename(basePath, path.extname(basePath));
+  const files = fs.readdirSync(dir);
+
+  // Look for files matching the temp pattern
+  const matches = files.filter(f => f.startsWith(basename));
+
+  // Return exact match first, then any finished media file (skip yt-dlp leftovers)
+  if (fs.existsSync(basePath)) return basePath;
+
+  for (const file of matches) {
+    const fullPath = path.join(dir, file);
+    if (fs.existsSync(fullPath) && !/\.(part|ytdl|tmp|temp)$/.test(file)) {
+      return fullPath;
+    }
+  }
+  return basePath;
+}
+
+/**
+ * Join files with the ffmpeg concat demuxer (stream copy)
+ */
+async function concatFiles(taskId, files, target) {
+  const listFile = `${target}.list.txt`;
+  fs.writeFileSync(listFile, files.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n'));
+
+  try {
+    await runFfmpeg(taskId, [
+      '-y',
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listFile,
+      '-c', 'copy',
+      target
+    ]);
+  } finally {
+    try { fs.unlinkSync(listFile); } catch (e) { }
+  }
+}
+
+/**
+ * Cut one segment out of the given sources into target
+ * @param {string} taskId
+ * @param {Object} options
+ * @param {string[]} options.sources - Local file, or video (+ audio) stream URLs
+ * @param {Object} options.segment - { start, duration }
+ * @param {string} options.target - Output file
+ * @param {string} options.format - Output format
+ * @param {string} options.precision - fast | accurate | smart
+ * @param {string} [options.audioBitrate] - kbps for lossy audio formats
+ * @param {Object} [options.animation] - { fps, width, loop } for gif / webp
+ * @param {Function} [options.onProgress] - Called with { done, speed }, done = seconds of the segment processed
+ */
+async function cutSegment(taskId, { sources, segment, target, format, precision, audioBitrate, animation, onProgress }) {
+  const spec = getFormat(format);
+  const startSec = parseTime(segment.start);
+  const mapArgs = sources.length > 1 && spec.type !== 'animation' ? ['-map', '0:v:0', '-map', '1:a:0'] : [];
+
+  // Input seeking on every source, -t (duration) instead of -to (end time)
+  const cut = (from, length, reencode, output) => runFfmpeg(taskId, [
+    '-y',
+    ...sources.flatMap(source => ['-ss', toFfmpegTime(from), '-i', source]),
+    ...mapArgs,
+    '-t', toFfmpegTime(length),
+    ...getCodecArgs(format, { reencode, audioBitrate, animation }),
+    '-avoid_negative_ts', 'make_zero',
+    output
+  ], onProgress && (({ outTime, speed }) => onProgress({ done: from - startSec + outTime, speed })));
+
+  // Audio and animations are always re-encoded, so every cut is already exact
+  if (spec.type === 'audio' || spec.type === 'animation') {
+    return cut(startSec, segment.duration, false, target);
+  }
+
+  // Some containers only take certain codecs, re-encode when the source does not fit
+  const codec = spec.copyCodecs || precision === 'smart' ? await getVideoCodec(sources[0]) : null;
+  if (spec.copyCodecs && !spec.copyCodecs.includes(codec)) {
+    logger.info('Source codec cannot be copied into container, re-encoding', { taskId, codec, format });
+    return cut(startSec, segment.duration, true, target);
+  }
+
+  if (precision === 'fast') {
+    return cut(startSec, segment.duration, false, target);
+  }
+
+  if (precision === 'accurate') {
+    return cut(startSec, segment.duration, true, target);
+  }
+
+  // Smart: re-encode only up to the first and from the last keyframe inside
+  // the segment, stream-copy everything in between
+  const endSec = startSec + segment.duration;
+  const keyframes = codec === spec.smartCodec ? await getKeyframes(sources[0], startSec, segment.duration) : [];
+  const firstKey = keyframes.find(time => time >= startSec);
+  const lastKey = [...keyframes].reverse().find(time => time <= endSec);
+
+  if (firstKey === undefined || lastKey === undefined || lastKey <= firstKey) {
+    logger.info('Smart cut not possible, re-encoding segment', { taskId, codec, keyframes: keyframes.length });
+    return cut(startSec, segment.duration, true, target);
+  }
+
+  const base = target.slice(0, -path.extname(target).length);
+  const ext = path.extname(target);
+  const parts = [];
+
+  if (firstKey > startSec) {
+    parts.push({ file: `${base}_head${ext}`, from: startSec, length: firstKey - startSec, reencode: true });
+  }
+  parts.push({ file: `${base}_body${ext}`, from: firstKey, length: lastKey - firstKey, reencode: false });
+  if (endSec > lastKey) {
+    parts.push({ file: `${base}_tail${ext}`, from: lastKey, length: endSec - lastKey, reencode: true });
+  }
+
+  logger.info('Smart cut', { taskId, startSec, endSec, firstKey, lastKey, parts: parts.length });
+
+  try {
+    for (const part of parts) {
+      throwIfCancelled(taskId);
+      await cut(part.from, part.length, part.reencode, part.file);
+    }
+
+    await concatFiles(taskId, parts.map(part => part.file), target);
+  } finally {
+    parts.forEach(part => {
+      try { if (fs.existsSync(part.file)) fs.unlinkSync(part.file); } catch (e) { }
+    });
+  }
+}
+
+/**
+ * Download the whole video with yt-dlp
+ * @param {Function} [options.onProgress] - Receives the progress events, default sends them to the task
+ * @returns {Promise<string>} Path of the downloaded file
+ */
+async function downloadFullVideo(taskId, { url, format, quality, tempFile, onProgress }) {
+  logger.info('Starting download', { taskId, format, quality, mode: 'full' });
+
+  const report = onProgress || (data => sendProgress(taskId, data));
+
+  // Keep yt-dlp's own extension, ffmpeg converts to the output format while trimming
+  const outputTemplate = `${tempFile.slice(0, -path.extname(tempFile).length)}.%(ext)s`;
+  const spec = getFormat(format);
+
+  // Build command string for Windows compatibility
+  let ytDlpCommand;
+  if (spec.type === 'audio') {
+    ytDlpCommand = `yt-dlp -f "${getFormatSelector(format, quality)}" --newline --progress -o "${outputTemplate}" "${url}"`;
+  } else {
+    ytDlpCommand = `yt-dlp -f "${getFormatSelector(format, quality)}" --merge-output-format ${spec.download} --newline --progress -o "${outputTemplate}" "${url}"`;
+  }
+
+  logger.debug('yt-dlp command', { taskId, command: ytDlpCommand.replace(url, '[URL]') });
+
+  // Use spawn with shell: true and the full command
+  await new Promise((resolve, reject) => {
+    const ytProcess = spawnProcess(ytDlpCommand, [], { shell: true });
+    trackProcess(taskId, ytProcess);
+
+    let lastProgress = 5;
+    let errorOutput = '';
+
+    // Parse progress percentage, speed and ETA from yt-dlp output
+    const handleProgress = (output) => {
+      const progress = parseYtDlpProgress(output);
+      if (!progress) return;
+
+      // Scale download progress to 5-65% range
+      const scaledProgress = Math.min(5 + (progress.percent * 0.6), 65);
+
+      if (scaledProgress > lastProgress) {
+        lastProgress = scaledProgress;
+        report({
+          status: 'downloading',
+          progress: Math.round(scaledProgress),
+          message: `Mengunduh video... ${Math.round(progress.percent)}%`,
+          speed: progress.speed,
+          eta: progress.eta
+        });
+      }
+    };
+
+    ytProcess.stdout.on('data', (data) => {
+      const output = data.toString();
+      logger.debug('yt-dlp stdout', { taskId, output: output.substring(0, 100) });
+      handleProgress(output);
+    });
+
+    ytProcess.stderr.on('data', (data) => {
+      const output = data.toString();
+      errorOutput += output;
+      logger.debug('yt-dlp stderr', { taskId, output: output.substring(0, 200) });
+
+      // Also check stderr for progress (yt-dlp outputs progress here)
+      handleProgress(output);
+    });
+
+    ytProcess.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        logger.error('yt-dlp failed', { taskId, code, errorOutput: errorOutput.substring(0, 500) });
+        reject(new Error(`Download gagal (code ${code}): ${errorOutput.substring(0, 200)}`));
+      }
+    });
+
+    ytProcess.on('error', (err) => {
+      logger.error('yt-dlp spawn error', { taskId, error: err.message });
+      reject(err);
+    });
+  });
+
+  report({
+    status: 'downloading',
+    progress: 65,
+    message: 'Download selesai, mempersiapkan trimming...'
+  });
+
+  // Find the actual downloaded file (yt-dlp may add suffix like .f399)
+  const actualTempFile = findDownloadedFile(tempFile);
+  logger.info('Downloaded file found', { taskId, actualTempFile });
+
+  if (!fs.existsSync(actualTempFile)) {
+    throw new Error('File download tidak ditemukan');
+  }
+
+  return actualTempFile;
+}
+
+/**
+ * Source cache key of a link, null when the cache is off or the link has no media ID
+ */
+function getSourceKey(url, format, quality) {
+  const resolved = sourceCache.isEnabled() && providers.resolveProvider(url);
+  return resolved ? sourceCache.getKey(resolved.mediaId, format, quality) : null;
+}
+
+/**
+ * Full download through the source cache: trims of the same video, format
+ * and quality share one file, and a task that finds the download already
+ * running waits for it instead of starting another
+ * @returns {Promise<{file: string, release: Function}>} Call release() once the file is no longer read
+ */
+async function acquireSource(taskId, { url, format, quality, tempFile }) {
+  const key = getSourceKey(url, format, quality);
+
+  if (!key) {
+    const file = await downloadFullVideo(taskId, { url, format, quality, tempFile });
+    return { file, release: () => { } };
+  }
+
+  let cache = 'miss';
+  const source = await sourceCache.acquire(key,
+    (basePath, onProgress) => downloadFullVideo(taskId, { url, format, quality, tempFile: `${basePath}.${format}`, onProgress }),
+    {
+      signal: activeTasks.get(taskId)?.abortController.signal,
+      onProgress: data => sendProgress(taskId, { ...data, cache }),
+      onWait: () => {
+        cache = 'shared';
+        sendProgress(taskId, {
+          status: 'downloading',
+          progress: 5,
+          cache,
+          message: 'Video yang sama sedang diunduh task lain, menunggu...'
+        });
+      }
+    });
+
+  logger.info('Source from cache', { taskId, key, cache: source.cache, file: source.file });
+
+  if (source.cache === 'hit') {
+    sendProgress(taskId, {
+      status: 'downloading',
+      progress: 65,
+      cache: 'hit',
+      message: 'Video diambil dari cache, mempersiapkan trimming...'
+    });
+  }
+
+  return source;
+}
+
+/**
+ * Fetch subtitles (or auto-captions when there are none) in one language
+ * @returns {Promise<Array>} Cues in source video time
+ */
+async function fetchSubtitles(taskId, { url, lang, tempFile }) {
+  sendProgress(taskId, {
+    status: 'downloading',
+    progress: 2,
+    message: `Mengunduh subtitle (${lang})...`
+  });
+
+  const dir = path.dirname(tempFile);
+  const prefix = `temp_${taskId}_subs`;
+
+  logger.info('Fetching subtitles', { taskId, lang });
+
+  // Manual subtitles win over auto-captions when both exist
+  await execPromise(`yt-dlp --skip-download --write-subs --write-auto-subs --sub-langs "${lang}" --sub-format "vtt/srt/best" -o "${path.join(dir, prefix)}" "${url}"`, {
+    timeout: 60000
+  });
+
+  const subtitleFile = fs.readdirSync(dir).find(file => file.startsWith(prefix) && /\.(vtt|srt)$/.test(file));
+  if (!subtitleFile) {
+    throw new Error(`Subtitle bahasa "${lang}" tidak tersedia untuk video ini`);
+  }
+
+  const fullPath = path.join(dir, subtitleFile);
+  const cues = parseSubtitles(fs.readFileSync(fullPath, 'utf-8'));
+  fs.unlinkSync(fullPath);
+
+  logger.info('Subtitles loaded', { taskId, lang, file: subtitleFile, cues: cues.length });
+  return cues;
+}
+
+/**
+ * Escape a path for use inside an ffmpeg filter argument
+ */
+function escapeFilterPath(filePath) {
+  return filePath.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+/**
+ * Line subtitles up with every output file and embed, burn or save them
+ */
+async function applySubtitles(taskId, { cues, files, outputSegments, subtitleFiles, format, subtitles, tempFile }) {
+  const spec = getFormat(format);
+  const dir = path.dirname(tempFile);
+
+  for (const [index, file] of files.entries()) {
+    throwIfCancelled(taskId);
+
+    sendProgress(taskId, {
+      status: 'subtitles',
+      progress: 95,
+      message: files.length > 1
+        ? `Memproses subtitle (file ${index + 1}/${files.length})...`
+        : 'Memproses subtitle...'
+    });
+
+    const clipCues = shiftCues(cues, outputSegments[index]);
+
+    logger.info('Applying subtitles', { taskId, file: file.name, mode: subtitles.mode, cues: clipCues.length });
+
+    if (SUBTITLE_FORMATS[subtitles.mode]) {
+      fs.writeFileSync(subtitleFiles[index].path, subtitles.mode === 'vtt' ? toVtt(clipCues) : toSrt(clipCues));
+      continue;
+    }
+
+    if (clipCues.length === 0) {
+      logger.info('No subtitles inside the clip, skipping', { taskId, file: file.name });
+      continue;
+    }
+
+    const srtFile = path.join(dir, `temp_${taskId}_subs${index}.srt`);
+    const processedFile = path.join(dir, `temp_${taskId}_subbed${path.extname(file.path)}`);
+    fs.writeFileSync(srtFile, toSrt(clipCues));
+
+    const args = subtitles.mode === 'soft'
+      ? [
+        '-y',
+        '-i', file.path,
+        '-i', srtFile,
+        '-map', '0', '-map', '1',
+        '-c', 'copy',
+        '-c:s', spec.subtitleCodec,
+        '-metadata:s:s:0', `language=${subtitles.lang.split('-')[0]}`,
+        processedFile
+      ]
+      : [
+        '-y',
+        '-i', file.path,
+        '-vf', `subtitles=filename='${escapeFilterPath(srtFile)}'`,
+        '-c:v', spec.videoCodec, ...spec.videoArgs,
+        '-c:a', 'copy',
+        processedFile
+      ];
+
+    try {
+      await runFfmpeg(taskId, args);
+      fs.renameSync(processedFile, file.path);
+    } finally {
+      try { fs.unlinkSync(srtFile); } catch (e) { }
+    }
+  }
+}
+
+/**
+ * Apply the audio options to every output file.
+ * Normalization is two-pass: loudnorm measures the clip first, then the
+ * measured values give a linear (non-pumping) gain in the second pass.
+ * Video is stream-copied, only the audio track is re-encoded.
+ */
+async function processAudio(taskId, { files, durations, format, audioBitrate, audio, tempFile }) {
+  for (const [index, file] of files.entries()) {
+    throwIfCancelled(taskId);
+
+    sendProgress(taskId, {
+      status: 'processing',
+      progress: 95,
+      message: files.length > 1
+        ? `Memproses audio (file ${index + 1}/${files.length})...`
+        : 'Memproses audio...'
+    });
+
+    let measured = null;
+    if (audio.normalize) {
+      const log = await runFfmpeg(taskId, ['-i', file.path, ...getLoudnormMeasureArgs()]);
+      measured = parseLoudnormStats(log);
+
+      if (!measured) {
+        logger.warn('Loudness measurement unusable, falling back to single-pass loudnorm', { taskId, file: file.name });
+      }
+    }
+
+    const processedFile = path.join(path.dirname(tempFile), `temp_${taskId}_audio${path.extname(file.path)}`);
+
+    logger.info('Processing audio', { taskId, file: file.name, audio, measured: Boolean(measured) });
+
+    await runFfmpeg(taskId, [
+      '-y',
+      '-i', file.path,
+      ...getCodecArgs(format, { audioBitrate }),
+      ...getAudioFilterArgs(audio, { duration: durations[index], measured }),
+      processedFile
+    ]);
+
+    fs.renameSync(processedFile, file.path);
+  }
+}
+
+/**
+ * Media seconds left: rest of the current segment plus all later segments
  */
-function sendProgress(taskId, data) {
-  const stream = progressStreams.get(taskId);
-  if (stream) {
-    stream.write(`data: ${JSON.stringify(data)}\n\n`);
-  }
-  taskProgress.set(taskId, data);
-  logger.task(taskId, data.status, data.message || '', { progress: data.progress });
+function remainingDuration(segments, index, done) {
+  return segments
+    .slice(index + 1)
+    .reduce((sum, segment) => sum + segment.duration, Math.max(0, segments[index].duration - done));
 }
 
-// ===========================================
-// TRIM ENDPOINT (Main functionality)
-// ===========================================
-
-app.post('/trim', rateLimiter, diskSpaceMiddleware, async (req, res) => {
-  logger.info('Received trim request', { body: { ...req.body, url: '[REDACTED]' } });
-
-  // Validate all inputs
-  const validation = validators.validateTrimRequest(req.body);
+/**
+ * Trim every segment out of a fully downloaded (or uploaded) file
+ */
+async function trimSegments(taskId, { input, segments, targets, format, precision, audioBitrate, animation, fromProgress = 70 }) {
+  sendProgress(taskId, {
+    status: 'trimming',
+    progress: fromProgress,
+    message: 'Memotong video sesuai durasi yang dipilih...'
+  });
 
-  if (!validation.isValid) {
-    logger.warn('Validation failed', { errors: validation.errors });
-    return res.status(400).json({
-      success: false,
-      message: validation.errors.join('. ')
+  for (const [index, segment] of segments.entries()) {
+    throwIfCancelled(taskId);
+
+    const target = targets[index];
+    const segmentLabel = segments.length > 1 ? ` (segmen ${index + 1}/${segments.length})` : '';
+
+    logger.info('Trimming with ffmpeg', { taskId, segment: index + 1, start: segment.start, durationSec: segment.duration, precision, input, target });
+
+    await cutSegment(taskId, {
+      sources: [input],
+      segment,
+      target,
+      format,
+      precision,
+      audioBitrate,
+      animation,
+      onProgress: ({ done, speed }) => {
+        // Map the position inside the clip onto the fromProgress-95% range
+        const fraction = Math.min(done / segment.duration, 1);
+        sendProgress(taskId, {
+          status: 'trimming',
+          progress: Math.round(fromProgress + ((index + fraction) / segments.length) * (95 - fromProgress)),
+          message: `Memotong video... ${Math.round(fraction * 100)}%${segmentLabel}`,
+          speed: speed ? `${speed}x` : null,
+          eta: estimateEta(remainingDuration(segments, index, done), speed)
+        });
+      }
     });
   }
+}
 
-  const { url, start, end, filename, format, quality } = validation.data;
-
-  // Calculate duration
-  const startSec = validators.timeToSeconds(start);
-  const endSec = validators.timeToSeconds(end);
-  const duration = endSec - startSec;
-
-  const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const tempFile = path.join(__dirname, `../../temp_${taskId}.${format === 'mp3' ? 'mp3' : 'mp4'}`);
-  const extension = format === 'mp3' ? 'mp3' : 'mp4';
-  const finalFile = path.join(__dirname, `../../${filename}.${extension}`);
-  const outputFilename = `${filename}.${extension}`;
+/**
+ * Download only the requested ranges: resolve the media stream URLs with
+ * `yt-dlp -g` and let ffmpeg seek inside them, so nothing outside the
+ * segments is transferred
+ */
+async function downloadSegmentRanges(taskId, { url, segments, targets, format, quality, precision, audioBitrate, animation }) {
+  logger.info('Starting download', { taskId, format, quality, mode: 'range' });
 
-  logger.info('Processing trim request', {
-    taskId,
-    start,
-    end,
-    duration,
-    format,
-    quality,
-    filename: outputFilename
+  sendProgress(taskId, {
+    status: 'downloading',
+    progress: 5,
+    message: 'Mencari stream video...'
   });
 
-  // Send initial response with taskId
-  res.json({
-    success: true,
-    taskId: taskId,
-    message: 'Proses dimulai. Silakan pantau progress.'
+  const { stdout } = await execPromise(`yt-dlp -f "${getFormatSelector(format, quality)}" -g "${url}"`, {
+    timeout: 30000
   });
+  const streamUrls = stdout.split('\n').map(line => line.trim()).filter(Boolean);
 
-  // Process in background
-  processVideo(taskId, {
-    url,
-    start,
-    end,
-    duration,
-    format,
-    quality,
-    tempFile,
-    finalFile,
-    filename: outputFilename
-  });
-});
+  if (streamUrls.length === 0 || streamUrls.some(streamUrl => !/^https?:\/\//.test(streamUrl))) {
+    throw new Error('Stream URL tidak ditemukan');
+  }
+
+  for (const [index, segment] of segments.entries()) {
+    throwIfCancelled(taskId);
+
+    const segmentLabel = segments.length > 1 ? ` (segmen ${index + 1}/${segments.length})` : '';
+
+    logger.info('Downloading range with ffmpeg', { taskId, segment: index + 1, start: segment.start, durationSec: segment.duration, precision, target: targets[index] });
+
+    // Separate video + audio streams for DASH formats
+    await cutSegment(taskId, {
+      sources: streamUrls,
+      segment,
+      target: targets[index],
+      format,
+      precision,
+      audioBitrate,
+      animation,
+      onProgress: ({ done, speed }) => {
+        // Range downloads cover both phases, so use the 5-90% range
+        const fraction = Math.min(done / segment.duration, 1);
+        sendProgress(taskId, {
+          status: 'downloading',
+          progress: Math.round(5 + ((index + fraction) / segments.length) * 85),
+          message: `Mengunduh bagian video... ${Math.round(fraction * 100)}%${segmentLabel}`,
+          speed: speed ? `${speed}x` : null,
+          eta: estimateEta(remainingDuration(segments, index, done), speed)
+        });
+      }
+    });
+  }
+}
 
 /**
  * Process video download and trim
  */
 async function processVideo(taskId, options) {
-  const { url, start, end, duration, format, quality, tempFile, finalFile, filename } = options;
+  const { url, input, segments, output, format, quality, precision, audioBitrate, animation, audio, subtitles, tempFile, outputFiles, subtitleFiles, archiveFile } = options;
 
-  // Helper to find actual downloaded file (yt-dlp may add format suffix)
-  function findDownloadedFile(basePath) {
-    const dir = path.dirname(basePath);
-    const basename = path.basename(basePath, path.extname(basePath));
-    const files = fs.readdirSync(dir);
+  activeTasks.set(taskId, {
+    processes: new Set(),
+    cancelled: false,
+    // Aborted on cancel, for waits that no child process can be killed for
+    abortController: new AbortController(),
+    tempFile,
+    outputFiles: [...outputFiles, ...subtitleFiles, ...(archiveFile ? [archiveFile] : [])]
+  });
 
-    // Look for files matching the temp pattern
-    const matches = files.filter(f => f.startsWith(basename) || f.includes(path.basename(basePath, '.mp4')));
+  // Full download, held until the task is done with it
+  let source = null;
 
-    // Return exact match first, then any matching file
-    if (fs.existsSync(basePath)) return basePath;
+  try {
+    // Step 0: Subtitles first, so a missing language fails before the download
+    const cues = subtitles ? await fetchSubtitles(taskId, { url, lang: subtitles.lang, tempFile }) : null;
 
-    for (const file of matches) {
-      const fullPath = path.join(dir, file);
-      if (fs.existsSync(fullPath) && (file.endsWith('.mp4') || file.endsWith('.mp3') || file.endsWith('.webm') || file.endsWith('.mkv'))) {
-        return fullPath;
-      }
-    }
-    return basePath;
-  }
+    throwIfCancelled(taskId);
 
-  try {
-    sendProgress(taskId, {
-      status: 'downloading',
-      progress: 5,
-      message: 'Memulai pengunduhan video...'
-    });
+    if (!input) {
+      sendProgress(taskId, {
+        status: 'downloading',
+        progress: 5,
+        message: 'Memulai pengunduhan video...'
+      });
+    }
 
-    // Step 1: Download video using yt-dlp with spawn for real-time progress
-    logger.info('Starting download', { taskId, format, quality });
+    // Parts that get joined later are cut into temp files first
+    const concatParts = output === 'concat' && segments.length > 1;
+    const trimTargets = concatParts
+      ? segments.map((_, index) => path.join(path.dirname(tempFile), `temp_${taskId}_part${index}${path.extname(tempFile)}`))
+      : outputFiles.map(file => file.path);
 
-    // Build command string for Windows compatibility
-    let ytDlpCommand;
-    if (format === 'mp3') {
-      ytDlpCommand = `yt-dlp -f "bestaudio/best" --extract-audio --audio-format mp3 --newline --progress -o "${tempFile}" "${url}"`;
-    } else {
-      // Use simpler format selection that's more compatible
-      ytDlpCommand = `yt-dlp -f "bestvideo[height<=${quality}]+bestaudio/best[height<=${quality}]/best" --merge-output-format mp4 --newline --progress -o "${tempFile}" "${url}"`;
+    // Uploaded files are already on disk: no download, trim them directly
+    if (input) {
+      await trimSegments(taskId, { input, segments, targets: trimTargets, format, precision, audioBitrate, animation, fromProgress: 5 });
     }
 
-    logger.debug('yt-dlp command', { taskId, command: ytDlpCommand.replace(url, '[URL]') });
+    // Step 1: Fetch only the requested ranges, fall back to a full download
+    // A cached full download is reused instead, it is quicker than fetching ranges
+    const sourceKey = input ? null : getSourceKey(url, format, quality);
+    let rangeDone = false;
+
+    if (!input && config.video.downloadMode === 'range' && !(sourceKey && sourceCache.has(sourceKey))) {
+      try {
+        await downloadSegmentRanges(taskId, { url, segments, targets: trimTargets, format, quality, precision, audioBitrate, animation });
+        rangeDone = true;
+      } catch (error) {
+        throwIfCancelled(taskId);
+        logger.warn('Range download failed, falling back to full download', { taskId, error: error.message });
+        trimTargets.forEach(target => {
+          try { if (fs.existsSync(target)) fs.unlinkSync(target); } catch (e) { }
+        });
+
+        sendProgress(taskId, {
+          status: 'downloading',
+          progress: 5,
+          message: 'Download per bagian gagal, mengunduh video lengkap...'
+        });
+      }
+    }
 
-    // Use spawn with shell: true and the full command
-    await new Promise((resolve, reject) => {
-      const ytProcess = spawn(ytDlpCommand, [], { shell: true });
+    // Step 2: Download the whole video and trim every segment using ffmpeg
+    if (!input && !rangeDone) {
+      source = await acquireSource(taskId, { url, format, quality, tempFile });
 
-      let lastProgress = 5;
-      let errorOutput = '';
+      throwIfCancelled(taskId);
 
-      ytProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        logger.debug('yt-dlp stdout', { taskId, output: output.substring(0, 100) });
+      await trimSegments(taskId, { input: source.file, segments, targets: trimTargets, format, precision, audioBitrate, animation });
+    }
 
-        // Parse progress percentage from yt-dlp output
-        const match = output.match(/(\d+\.?\d*)%/);
-        if (match) {
-          const downloadPercent = parseFloat(match[1]);
-          // Scale download progress to 5-65% range
-          const scaledProgress = Math.min(5 + (downloadPercent * 0.6), 65);
+    throwIfCancelled(taskId);
 
-          if (scaledProgress > lastProgress) {
-            lastProgress = scaledProgress;
-            sendProgress(taskId, {
-              status: 'downloading',
-              progress: Math.round(scaledProgress),
-              message: `Mengunduh video... ${Math.round(downloadPercent)}%`
-            });
-          }
-        }
+    // Step 3: Join the trimmed parts into one file
+    if (concatParts) {
+      sendProgress(taskId, {
+        status: 'merging',
+        progress: 95,
+        message: `Menggabungkan ${segments.length} segmen...`
       });
 
-      ytProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        errorOutput += output;
-        logger.debug('yt-dlp stderr', { taskId, output: output.substring(0, 200) });
-
-        // Also check stderr for progress (yt-dlp outputs progress here)
-        const match = output.match(/(\d+\.?\d*)%/);
-        if (match) {
-          const downloadPercent = parseFloat(match[1]);
-          const scaledProgress = Math.min(5 + (downloadPercent * 0.6), 65);
-
-          if (scaledProgress > lastProgress) {
-            lastProgress = scaledProgress;
-            sendProgress(taskId, {
-              status: 'downloading',
-              progress: Math.round(scaledProgress),
-              message: `Mengunduh video... ${Math.round(downloadPercent)}%`
-            });
-          }
-        }
-      });
+      logger.info('Concatenating segments', { taskId, parts: trimTargets.length, finalFile: outputFiles[0].path });
 
-      ytProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          logger.error('yt-dlp failed', { taskId, code, errorOutput: errorOutput.substring(0, 500) });
-          reject(new Error(`Download gagal (code ${code}): ${errorOutput.substring(0, 200)}`));
-        }
-      });
+      await concatFiles(taskId, trimTargets, outputFiles[0].path);
+    }
 
-      ytProcess.on('error', (err) => {
-        logger.error('yt-dlp spawn error', { taskId, error: err.message });
-        reject(err);
-      });
-    });
+    throwIfCancelled(taskId);
 
-    sendProgress(taskId, {
-      status: 'downloading',
-      progress: 65,
-      message: 'Download selesai, mempersiapkan trimming...'
-    });
+    // Segments that ended up in each output file
+    const outputSegments = outputFiles.length === segments.length
+      ? segments.map(segment => [segment])
+      : [segments];
 
-    // Find the actual downloaded file (yt-dlp may add suffix like .f399)
-    const actualTempFile = findDownloadedFile(tempFile);
-    logger.info('Downloaded file found', { taskId, actualTempFile });
+    // Step 4: Loudness, fades and channels on the finished files
+    if (audio) {
+      const durations = outputSegments.map(group => group.reduce((sum, segment) => sum + segment.duration, 0));
 
-    if (!fs.existsSync(actualTempFile)) {
-      throw new Error('File download tidak ditemukan');
+      await processAudio(taskId, { files: outputFiles, durations, format, audioBitrate, audio, tempFile });
     }
 
-    sendProgress(taskId, {
-      status: 'trimming',
-      progress: 70,
-      message: 'Memotong video sesuai durasi yang dipilih...'
-    });
-
-    // Step 2: Trim video using ffmpeg
-    // Use -t (duration) instead of -to (end time) for accurate trimming
-    const durationSec = duration; // Already calculated in the route handler
-
-    logger.info('Trimming with ffmpeg', { taskId, start, durationSec, actualTempFile, finalFile });
-
-    // Use spawn for ffmpeg too
-    await new Promise((resolve, reject) => {
-      const ffmpegArgs = [
-        '-y',                    // Overwrite output file
-        '-i', actualTempFile,    // Input file
-        '-ss', start,            // Start time (input seeking - faster)
-        '-t', durationSec.toString(), // Duration in seconds
-        '-c:v', 'copy',          // Copy video codec (fast)
-        '-c:a', 'aac',           // Re-encode audio to AAC (compatible)
-        '-avoid_negative_ts', 'make_zero',
-        finalFile                // Output file
-      ];
+    throwIfCancelled(taskId);
 
-      const ffProcess = spawn('ffmpeg', ffmpegArgs, { shell: true });
-
-      ffProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        // FFmpeg outputs progress to stderr
-        if (output.includes('time=')) {
-          sendProgress(taskId, {
-            status: 'trimming',
-            progress: 85,
-            message: 'Memotong video...'
-          });
-        }
-      });
+    // Step 5: Subtitles as soft track, burned in or as separate files
+    if (subtitles) {
+      await applySubtitles(taskId, { cues, files: outputFiles, outputSegments, subtitleFiles, format, subtitles, tempFile });
+    }
 
-      ffProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve();
-        } else {
-          reject(new Error(`ffmpeg exited with code ${code}`));
-        }
-      });
+    throwIfCancelled(taskId);
 
-      ffProcess.on('error', (err) => {
-        reject(err);
+    // Step 6: Bundle chapter files into one ZIP
+    const deliverables = archiveFile ? [archiveFile] : [...outputFiles, ...subtitleFiles];
+
+    if (archiveFile) {
+      const entries = [...outputFiles, ...subtitleFiles];
+
+      sendProgress(taskId, {
+        status: 'packing',
+        progress: 96,
+        message: `Membuat ZIP (${entries.length} file)...`
       });
-    });
+
+      await createZip(archiveFile.path, entries);
+      logger.info('Archive created', { taskId, archive: archiveFile.path, entries: entries.length });
+    }
+
+    throwIfCancelled(taskId);
 
     logger.info('Trim complete', { taskId });
 
-    // Step 3: Cleanup temp file
+    // Step 7: Cleanup temp file
     sendProgress(taskId, {
       status: 'cleaning',
       progress: 96,
@@ -449,6 +1494,7 @@ async function processVideo(taskId, options) {
     });
 
     // Clean up all temp files matching the pattern
+    const outputPaths = deliverables.map(file => file.path);
     try {
       const dir = path.dirname(tempFile);
       const basename = path.basename(tempFile, path.extname(tempFile));
@@ -457,7 +1503,7 @@ async function processVideo(taskId, options) {
       files.forEach(file => {
         if (file.startsWith(basename) || file.startsWith('temp_' + taskId.split('_')[1])) {
           const fullPath = path.join(dir, file);
-          if (fullPath !== finalFile && fs.existsSync(fullPath)) {
+          if (!outputPaths.includes(fullPath) && fs.existsSync(fullPath)) {
             try {
               fs.unlinkSync(fullPath);
               logger.debug('Temp file deleted', { taskId, file });
@@ -471,47 +1517,427 @@ async function processVideo(taskId, options) {
       logger.warn('Error during cleanup', { taskId, error: e.message });
     }
 
-    // Verify final file exists
-    if (!fs.existsSync(finalFile)) {
+    // Verify final files exist
+    if (!outputPaths.every(file => fs.existsSync(file))) {
       throw new Error('File hasil trim tidak ditemukan');
     }
 
-    // Step 4: Complete!
+    // Step 8: Complete!
+    const filenames = deliverables.map(file => file.name);
     sendProgress(taskId, {
       status: 'complete',
       progress: 100,
       message: 'Selesai! Mengunduh file...',
-      filename: filename
+      filename: filenames[0],
+      files: filenames
     });
 
-    logger.info('Task completed successfully', { taskId, filename, finalFile });
+    logger.info('Task completed successfully', { taskId, files: filenames });
 
   } catch (error) {
+    // Cleanup on error - clean all temp files
+    cleanupTaskFiles(taskId, tempFile);
+
+    // Cancelled tasks already got their final event from the cancel endpoint
+    if (activeTasks.get(taskId)?.cancelled) {
+      logger.info('Task stopped after cancel', { taskId });
+      return;
+    }
+
     logger.error('Error processing video', { taskId, error: error.message, stack: error.stack });
 
-    // Cleanup on error - clean all temp files
+    sendProgress(taskId, {
+      status: 'error',
+      progress: 0,
+      message: `Error: ${error.message}`
+    });
+  } finally {
+    if (source) source.release();
+    activeTasks.delete(taskId);
+  }
+}
+
+// ===========================================
+// BATCH JOBS (CSV / JSON upload)
+// ===========================================
+
+/**
+ * Swap YouTube Clips in the rows for their source video and range,
+ * a clip that cannot be read becomes an error of its row
+ */
+async function resolveBatchLinks(rows) {
+  const resolved = [];
+  const linkErrors = [];
+
+  for (const row of rows) {
     try {
-      const dir = path.dirname(tempFile);
-      const files = fs.readdirSync(dir);
+      resolved.push(await resolveTrimBody(row));
+      linkErrors.push(null);
+    } catch (error) {
+      resolved.push(row);
+      linkErrors.push(error.message);
+    }
+  }
 
-      files.forEach(file => {
-        if (file.includes(taskId) || file.startsWith(path.basename(tempFile, '.mp4'))) {
-          const fullPath = path.join(dir, file);
-          if (fs.existsSync(fullPath)) {
-            try { fs.unlinkSync(fullPath); } catch (e) { }
-          }
-        }
+  return { rows: resolved, linkErrors };
+}
+
+/**
+ * Validate every row of a batch like a single trim request
+ */
+function validateBatchRows(rows, linkErrors = []) {
+  return rows.map((row, index) => {
+    const validation = validators.validateTrimRequest(row);
+    const errors = linkErrors[index] ? [linkErrors[index]] : [...validation.errors];
+
+    if (validation.data.output === 'chapters') {
+      errors.push('Mode chapters tidak didukung di batch');
+    }
+
+    return { row: index + 1, errors, data: validation.data };
+  });
+}
+
+app.post('/batch', rateLimiter, diskSpaceMiddleware, async (req, res) => {
+  const { error, rows: parsedRows } = parseBatchRows(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const { rows, linkErrors } = await resolveBatchLinks(parsedRows);
+  const checked = validateBatchRows(rows, linkErrors);
+  const invalid = checked.filter(row => row.errors.length > 0);
+
+  // Dry run: report what would be processed, used by the UI right after picking a file
+  if (req.body.dryRun) {
+    return res.json({
+      success: true,
+      data: {
+        valid: invalid.length === 0,
+        rows: checked.map(({ row, errors, data }) => ({
+          row,
+          errors,
+          url: data.url,
+          start: data.segments[0]?.start || rows[row - 1].start,
+          end: data.segments[0]?.end || rows[row - 1].end,
+          filename: data.filename,
+          format: data.format,
+          quality: data.quality
+        }))
+      }
+    });
+  }
+
+  if (invalid.length > 0) {
+    logger.warn('Batch validation failed', { rows: rows.length, invalid: invalid.length });
+    return res.status(400).json({
+      success: false,
+      message: `${invalid.length} baris tidak valid, batch tidak dijalankan`,
+      errors: invalid.map(row => ({ row: row.row, message: row.errors.join('. ') }))
+    });
+  }
+
+  const batchId = createTaskId('batch');
+  const zipName = `${validators.sanitizeFilename(req.body.filename || 'batch')}.zip`;
+  const batch = {
+    id: batchId,
+    rows: [],
+    archiveFile: { name: zipName, path: path.join(__dirname, `../../${zipName}`) },
+    cancelled: false
+  };
+
+  checked.forEach(({ row, data }) => {
+    const taskId = createTaskId();
+    const tempFile = path.join(__dirname, `../../temp_${taskId}.${data.format}`);
+
+    // Row number keeps names unique inside the ZIP, files wait as temp files until packing
+    const planned = planOutputFiles(taskId, tempFile, { ...data, filename: `${String(row).padStart(2, '0')}-${data.filename}` });
+    const toBatchFile = file => ({ name: file.name, path: path.join(__dirname, `../../temp_${batchId}_${file.name}`) });
+
+    batch.rows.push({
+      row,
+      taskId,
+      tempFile,
+      data,
+      outputFiles: planned.outputFiles.map(toBatchFile),
+      subtitleFiles: planned.subtitleFiles.map(toBatchFile),
+      status: 'pending',
+      progress: 0,
+      error: null
+    });
+  });
+
+  logger.info('Processing batch', { batchId, rows: batch.rows.length, archive: zipName });
+
+  batches.set(batchId, batch);
+  taskStore.create(batchId, { batch: true, rows: batch.rows.length, files: [zipName] });
+  sendProgress(batchId, {
+    status: 'batch',
+    progress: 0,
+    message: `0/${batch.rows.length} baris selesai`
+  });
+
+  // Every row goes through the normal job queue
+  batch.rows.forEach(({ taskId, tempFile, data, outputFiles, subtitleFiles }) => {
+    batchOfTask.set(taskId, batchId);
+    taskStore.create(taskId, { ...data, batchId, files: [...outputFiles, ...subtitleFiles].map(file => file.name) });
+
+    const position = jobQueue.enqueue(taskId, () => processVideo(taskId, {
+      ...data,
+      tempFile,
+      outputFiles,
+      subtitleFiles,
+      archiveFile: null
+    }));
+
+    if (position > 0) {
+      sendQueuedProgress(taskId, position);
+    }
+  });
+
+  res.json({
+    success: true,
+    taskId: batchId,
+    rows: batch.rows.length,
+    message: `Batch dimulai (${batch.rows.length} baris). Silakan pantau progress.`
+  });
+});
+
+/**
+ * Track a row's progress and publish the batch average
+ */
+function updateBatchProgress(batchId, taskId, data) {
+  const batch = batches.get(batchId);
+  if (!batch) return;
+
+  const row = batch.rows.find(item => item.taskId === taskId);
+  row.status = data.status;
+  row.progress = data.progress;
+  if (data.status === 'error') {
+    row.error = data.message;
+  }
+
+  const isFinished = item => FINAL_STATUSES.includes(item.status);
+  const done = batch.rows.filter(isFinished).length;
+
+  if (done === batch.rows.length) {
+    finishBatch(batch);
+    return;
+  }
+
+  if (batch.cancelled) return;
+
+  // Finished rows count as 100%, the last few percent are for packing
+  const average = batch.rows.reduce((sum, item) => sum + (isFinished(item) ? 100 : item.progress), 0) / batch.rows.length;
+
+  sendProgress(batchId, {
+    status: 'batch',
+    progress: Math.round(average * 0.95),
+    message: `${done}/${batch.rows.length} baris selesai • Baris ${row.row}: ${data.message || data.status}`
+  });
+}
+
+/**
+ * Zip the finished rows with a manifest of successes and failures
+ */
+async function finishBatch(batch) {
+  batches.delete(batch.id);
+  batch.rows.forEach(row => batchOfTask.delete(row.taskId));
+
+  const succeeded = batch.rows.filter(row => row.status === 'complete');
+  const rowFiles = row => [...row.outputFiles, ...row.subtitleFiles];
+  const manifestFile = { name: 'manifest.csv', path: path.join(__dirname, `../../temp_${batch.id}_manifest.csv`) };
+
+  try {
+    if (batch.cancelled) return;
+
+    // Nothing to pack: report the row errors instead of a ZIP with only the manifest
+    if (succeeded.length === 0) {
+      const errors = batch.rows.map(row => ({ row: row.row, message: row.error || 'Gagal' }));
+      logger.warn('Batch failed, no row succeeded', { batchId: batch.id, rows: batch.rows.length });
+
+      sendProgress(batch.id, {
+        status: 'error',
+        progress: 0,
+        message: `Semua baris gagal. ${errors.map(error => `Baris ${error.row}: ${error.message}`).join('; ')}`,
+        errors
       });
-    } catch (e) { }
+      return;
+    }
 
-    sendProgress(taskId, {
+    sendProgress(batch.id, {
+      status: 'packing',
+      progress: 96,
+      message: `Membuat ZIP (${succeeded.length}/${batch.rows.length} baris berhasil)...`
+    });
+
+    fs.writeFileSync(manifestFile.path, buildManifest(batch.rows.map(row => ({
+      row: row.row,
+      data: row.data,
+      status: row.status,
+      files: row.status === 'complete' ? rowFiles(row).map(file => file.name) : [],
+      error: row.error
+    }))));
+
+    await createZip(batch.archiveFile.path, [...succeeded.flatMap(rowFiles), manifestFile]);
+
+    logger.info('Batch completed', { batchId: batch.id, succeeded: succeeded.length, rows: batch.rows.length });
+
+    sendProgress(batch.id, {
+      status: 'complete',
+      progress: 100,
+      message: `Selesai! ${succeeded.length}/${batch.rows.length} baris berhasil`,
+      filename: batch.archiveFile.name,
+      files: [batch.archiveFile.name]
+    });
+  } catch (error) {
+    logger.error('Error packing batch', { batchId: batch.id, error: error.message });
+
+    sendProgress(batch.id, {
       status: 'error',
       progress: 0,
       message: `Error: ${error.message}`
     });
+  } finally {
+    [...batch.rows.flatMap(rowFiles), manifestFile].forEach(file => {
+      try {
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+      } catch (e) {
+        logger.warn('Could not delete batch file', { batchId: batch.id, file: file.name, error: e.message });
+      }
+    });
   }
 }
 
+// ===========================================
+// TASK STATUS ENDPOINTS
+// ===========================================
+
+/**
+ * Public view of a task record, with the current queue position
+ */
+function formatTask(record) {
+  return {
+    ...record,
+    queuePosition: record.status === 'queued' ? jobQueue.position(record.id) : null
+  };
+}
+
+app.get('/tasks', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const status = typeof req.query.status === 'string' ? req.query.status : undefined;
+
+  res.json({
+    success: true,
+    data: taskStore.list({ status, limit }).map(formatTask)
+  });
+});
+
+app.get('/tasks/:taskId', (req, res) => {
+  const record = taskStore.get(req.params.taskId);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task tidak ditemukan'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: formatTask(record)
+  });
+});
+
+// ===========================================
+// CANCEL ENDPOINT
+// ===========================================
+
+/**
+ * Stop a queued or running task and remove its files
+ * @returns {boolean} false if the task is not queued or running
+ */
+function cancelTask(taskId) {
+  const task = activeTasks.get(taskId);
+  const wasQueued = jobQueue.remove(taskId);
+
+  if (!task && !wasQueued) return false;
+
+  if (task) {
+    task.cancelled = true;
+    task.abortController.abort();
+    task.processes.forEach(child => killProcessTree(child));
+
+    // Remove the partial outputs as well, ffmpeg may have started writing them
+    cleanupTaskFiles(taskId, task.tempFile);
+    task.outputFiles.forEach(file => {
+      try {
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+      } catch (e) {
+        logger.warn('Could not delete partial output', { taskId, file: file.name, error: e.message });
+      }
+    });
+  } else {
+    // Queued uploads already have their source file on disk
+    cleanupTaskFiles(taskId, path.join(__dirname, `../../temp_${taskId}`));
+  }
+
+  logger.info('Task cancelled', { taskId, wasQueued });
+
+  sendProgress(taskId, {
+    status: 'cancelled',
+    progress: 0,
+    message: 'Proses dibatalkan'
+  });
+
+  return true;
+}
+
+/**
+ * Cancel every unfinished row of a batch, no ZIP is made
+ */
+function cancelBatch(batchId) {
+  const batch = batches.get(batchId);
+  batch.cancelled = true;
+
+  batch.rows
+    .filter(row => !FINAL_STATUSES.includes(row.status))
+    .forEach(row => cancelTask(row.taskId));
+
+  logger.info('Batch cancelled', { batchId });
+
+  sendProgress(batchId, {
+    status: 'cancelled',
+    progress: 0,
+    message: 'Batch dibatalkan'
+  });
+
+  return true;
+}
+
+app.delete('/tasks/:taskId', (req, res) => {
+  const { taskId } = req.params;
+  const cancelled = batches.has(taskId) ? cancelBatch(taskId) : cancelTask(taskId);
+
+  if (!cancelled) {
+    const known = taskStore.get(taskId);
+    return res.status(known ? 409 : 404).json({
+      success: false,
+      message: known ? 'Task sudah selesai dan tidak dapat dibatalkan' : 'Task tidak ditemukan'
+    });
+  }
+
+  res.json({
+    success: true,
+    taskId,
+    message: 'Task dibatalkan'
+  });
+});
+
 // ===========================================
 // DOWNLOAD ENDPOINT
 // ===========================================
@@ -519,9 +1945,10 @@ async function processVideo(taskId, options) {
 app.get('/download/:filename', (req, res) => {
   const { filename } = req.params;
 
-  // Sanitize filename
-  const sanitized = validators.sanitizeFilename(filename.replace(/\.(mp4|mp3)$/, ''));
-  const extension = filename.endsWith('.mp3') ? 'mp3' : 'mp4';
+  // Sanitize filename, keeping a supported extension
+  const requestedExtension = path.extname(filename).slice(1).toLowerCase();
+  const extension = isExtraDownload(requestedExtension) ? requestedExtension : validators.validateFormat(requestedExtension);
+  const sanitized = validators.sanitizeFilename(path.basename(filename, path.extname(filename)));
   const safeFilename = `${sanitized}.${extension}`;
 
   const filePath = path.join(__dirname, `../../${safeFilename}`);
@@ -538,7 +1965,7 @@ app.get('/download/:filename', (req, res) => {
 
   // Set headers for download
   res.setHeader('Content-Disposition', `attachment; filename="${safeFilename}"`);
-  res.setHeader('Content-Type', extension === 'mp3' ? 'audio/mpeg' : 'video/mp4');
+  res.setHeader('Content-Type', getMimeType(extension));
 
   // Stream file to client
   const fileStream = fs.createReadStream(filePath);
@@ -584,6 +2011,8 @@ app.get('/health', async (req, res) => {
     version: '2.1.0',
     timestamp: new Date().toISOString(),
     environment: config.nodeEnv,
+    queue: jobQueue.stats(),
+    sourceCache: sourceCache.stats(),
     disk: {
       freeSpaceMB: diskStatus.freeSpaceMB,
       hasEnoughSpace: diskStatus.hasSpace
@@ -621,8 +2050,15 @@ setInterval(() => {
     const files = fs.readdirSync(baseDir);
     const now = Date.now();
 
+    // Finished rows of a running batch wait as temp files until packing, and
+    // uploads of queued or running tasks may sit there longer than the interval
+    const inUse = [
+      ...[...batches.keys()].map(batchId => `temp_${batchId}_`),
+      ...jobQueue.taskIds().flatMap(taskId => [`temp_${taskId}_`, `temp_${taskId}.`])
+    ];
+
     files.forEach(file => {
-      if (file.startsWith('temp_') && (file.endsWith('.mp4') || file.endsWith('.mp3'))) {
+      if (file.startsWith('temp_') && !inUse.some(prefix => file.startsWith(prefix))) {
         const filePath = path.join(baseDir, file);
         const stats = fs.statSync(filePath);
         const ageMs = now - stats.mtimeMs;
@@ -637,6 +2073,12 @@ setInterval(() => {
   } catch (e) {
     logger.warn('Error during cleanup', { error: e.message });
   }
+
+  try {
+    timeline.cleanupExpired();
+  } catch (e) {
+    logger.warn('Error during timeline cleanup', { error: e.message });
+  }
 }, config.cleanup.cleanupIntervalMs);
 
 // ===========================================
@@ -666,5 +2108,6 @@ app.listen(config.port, () => {
   logger.info('npm run build   # Build Tailwind CSS');
   logger.info('===========================================');
   logger.info(` ✓ Rate Limiting (${config.rateLimit.max}/min)`);
+  logger.info(` ✓ Job Queue (${config.queue.concurrency} concurrent)`);
   logger.info(` ✓ Max Duration: ${config.video.maxDurationSeconds / 60} minutes`);
 });
@@ -0,0 +1,34 @@
+/**
+ * Archive Module
+ * Bundles several output files into one ZIP download
+ */
+
+const fs = require('fs');
+const archiver = require('archiver');
+
+/**
+ * Write files into a ZIP archive
+ * Media is already compressed, so entries are stored as-is
+ * @param {string} target - Path of the .zip file
+ * @param {Array<{name: string, path: string}>} files - Entry name and source path
+ * @returns {Promise<void>}
+ */
+function createZip(target, files) {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(target);
+        const archive = archiver('zip', { store: true });
+
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+        archive.on('warning', reject);
+
+        archive.pipe(output);
+        files.forEach(file => archive.file(file.path, { name: file.name }));
+        archive.finalize();
+    });
+}
+
+module.exports = {
+    createZip
+};
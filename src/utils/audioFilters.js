@@ -0,0 +1,86 @@
+/**
+ * Audio Filters Module
+ * ffmpeg audio filter chains for loudness normalization, fades and channel options
+ */
+
+const config = require('../config');
+
+// loudnorm targets, e.g. "I=-16:TP=-1.5:LRA=11"
+const LOUDNORM_TARGET = `I=${config.audio.loudnessTarget}:TP=${config.audio.truePeak}:LRA=${config.audio.loudnessRange}`;
+
+// loudnorm works at 192 kHz internally, so output needs an explicit rate
+const DEFAULT_SAMPLE_RATE = '48000';
+
+/**
+ * Arguments for the first loudnorm pass (measure only, no output file)
+ */
+function getLoudnormMeasureArgs() {
+    return ['-vn', '-af', `loudnorm=${LOUDNORM_TARGET}:print_format=json`, '-f', 'null', '-'];
+}
+
+/**
+ * Read the measurement JSON that loudnorm prints at the end of its log
+ * @param {string} log - ffmpeg stderr of the measure pass
+ * @returns {Object|null} input_i, input_tp, input_lra, input_thresh, target_offset
+ */
+function parseLoudnormStats(log) {
+    const match = log.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (!match) return null;
+
+    try {
+        const stats = JSON.parse(match[0]);
+        const values = ['input_i', 'input_tp', 'input_lra', 'input_thresh', 'target_offset'].map(key => parseFloat(stats[key]));
+
+        // Silent input reports -inf, which the second pass does not accept
+        return values.every(Number.isFinite) ? stats : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build the ffmpeg output arguments for the audio options
+ * @param {Object} audio - { normalize, fadeIn, fadeOut, mono, sampleRate }
+ * @param {Object} context
+ * @param {number} context.duration - Clip length in seconds (for the fade-out start)
+ * @param {Object|null} [context.measured] - First pass loudnorm stats, single pass when missing
+ * @returns {string[]}
+ */
+function getAudioFilterArgs(audio, { duration, measured = null }) {
+    const filters = [];
+
+    if (audio.normalize) {
+        filters.push(measured
+            ? `loudnorm=${LOUDNORM_TARGET}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+              `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+              `:offset=${measured.target_offset}:linear=true`
+            : `loudnorm=${LOUDNORM_TARGET}`);
+    }
+
+    if (audio.fadeIn > 0) {
+        filters.push(`afade=t=in:st=0:d=${audio.fadeIn}`);
+    }
+
+    if (audio.fadeOut > 0) {
+        filters.push(`afade=t=out:st=${Math.max(0, duration - audio.fadeOut)}:d=${audio.fadeOut}`);
+    }
+
+    const args = filters.length > 0 ? ['-af', filters.join(',')] : [];
+
+    if (audio.mono) {
+        args.push('-ac', '1');
+    }
+
+    const sampleRate = audio.sampleRate || (audio.normalize ? DEFAULT_SAMPLE_RATE : null);
+    if (sampleRate) {
+        args.push('-ar', sampleRate);
+    }
+
+    return args;
+}
+
+module.exports = {
+    getLoudnormMeasureArgs,
+    parseLoudnormStats,
+    getAudioFilterArgs
+};
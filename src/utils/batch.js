@@ -0,0 +1,148 @@
+/**
+ * Batch Module
+ * Reads batch rows from CSV / JSON uploads and writes the result manifest
+ */
+
+const config = require('../config');
+
+// CSV columns, matched case-insensitively against the header row
+const CSV_COLUMNS = ['url', 'start', 'end', 'filename', 'format', 'quality'];
+
+/**
+ * Split CSV text into records of fields (quoted fields, "" escapes, CRLF).
+ * The delimiter is "," or ";" (spreadsheets with a decimal comma export ";"),
+ * whichever appears first in the header line.
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const headerLine = text.split('\n', 1)[0];
+    const delimiter = headerLine.includes(';') && (!headerLine.includes(',') || headerLine.indexOf(';') < headerLine.indexOf(','))
+        ? ';'
+        : ',';
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n') {
+            records.push([...record, field]);
+            record = [];
+            field = '';
+        } else if (char !== '\r') {
+            field += char;
+        }
+    }
+
+    records.push([...record, field]);
+
+    // Drop blank lines
+    return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn CSV text into row objects keyed by the known columns
+ * @returns {{error: string|null, rows: Object[]}}
+ */
+function csvToRows(text) {
+    // Excel prepends a byte order mark to UTF-8 exports
+    const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!header) {
+        return { error: 'File CSV kosong', rows: [] };
+    }
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('url')) {
+        return { error: `Header CSV harus berisi kolom: ${CSV_COLUMNS.join(', ')}`, rows: [] };
+    }
+
+    const rows = records.map(fields => {
+        const row = {};
+        columns.forEach((column, index) => {
+            const value = (fields[index] || '').trim();
+            // Empty cells fall back to the defaults
+            if (CSV_COLUMNS.includes(column) && value) row[column] = value;
+        });
+        return row;
+    });
+
+    return { error: null, rows };
+}
+
+/**
+ * Read batch rows from a request body: `{ rows: [...] }` or `{ csv: "..." }`
+ * @returns {{error: string|null, rows: Object[]}}
+ */
+function parseBatchRows(body) {
+    let result;
+
+    if (Array.isArray(body.rows)) {
+        result = { error: null, rows: body.rows };
+    } else if (typeof body.csv === 'string') {
+        result = csvToRows(body.csv);
+    } else {
+        return { error: 'Kirim baris batch sebagai "rows" (JSON) atau "csv"', rows: [] };
+    }
+
+    if (result.error) return result;
+
+    if (result.rows.length === 0) {
+        return { error: 'File batch tidak berisi baris', rows: [] };
+    }
+
+    if (result.rows.length > config.batch.maxRows) {
+        return { error: `Maksimal ${config.batch.maxRows} baris per batch`, rows: [] };
+    }
+
+    if (!result.rows.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+        return { error: 'Setiap baris harus berupa objek', rows: [] };
+    }
+
+    return result;
+}
+
+/**
+ * Manifest of a finished batch as CSV: one line per row with its file or error
+ * @param {Array<{row: number, data: Object, status: string, files: string[], error: string|null}>} results
+ */
+function buildManifest(results) {
+    const escape = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = results.map(result => [
+        result.row,
+        result.data.url,
+        result.data.segments[0].start,
+        result.data.segments[0].end,
+        result.data.format,
+        result.status === 'complete' ? 'ok' : result.status,
+        result.files.join(' '),
+        result.error
+    ].map(escape).join(','));
+
+    return ['row,url,start,end,format,status,files,error', ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+    parseBatchRows,
+    buildManifest
+};
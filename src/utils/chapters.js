@@ -0,0 +1,123 @@
+/**
+ * Chapters Module
+ * Chapter lists from yt-dlp metadata and timestamp lists in plain text
+ * (descriptions, comments, setlists), turned into trim segments
+ */
+
+const { sanitizeFilename } = require('./validators');
+const { parseTime, formatTime } = require('./time');
+
+// "3:12", "03:12", "1:03:12", "1:03:12.5" not glued to other digits
+const TIMESTAMP_PATTERN = /(?<![\d:.])\d{1,2}(?::\d{2}){1,2}(?:\.\d+)?(?![\d:])/g;
+
+// Separators and list markers around a label ("-", "|", "•", "1.", brackets)
+const LABEL_TRIM_PATTERN = /^[\s\-–—|:•*·>)\]]+|[\s\-–—|:•*·<(\[]+$/g;
+
+/**
+ * Chapters from yt-dlp's --dump-json output
+ * @returns {Array<{title: string, start: number, end: number}>}
+ */
+function listChapters(info) {
+    return (info.chapters || [])
+        .map((chapter, index) => ({
+            title: (chapter.title || '').trim() || `Chapter ${index + 1}`,
+            start: chapter.start_time,
+            end: chapter.end_time
+        }))
+        .filter(chapter => Number.isFinite(chapter.start) && Number.isFinite(chapter.end) && chapter.end > chapter.start);
+}
+
+/**
+ * Parse timestamp lines ("03:12 Drop", "07:45 - Q&A", "1. 00:00-01:30 Intro")
+ * into labelled ranges. A line with two timestamps is an explicit range,
+ * otherwise an entry runs until the next one (the last one until `duration`).
+ * @param {string} text - Description or pasted list
+ * @param {number} [duration] - Video length in seconds, without it the last open entry is dropped
+ * @returns {Array<{title: string, start: number, end: number}>}
+ */
+function parseTimestampList(text, duration) {
+    if (!text || typeof text !== 'string') return [];
+
+    const entries = [];
+
+    text.replace(/\r/g, '').split('\n').forEach(line => {
+        const times = (line.match(TIMESTAMP_PATTERN) || []).filter(time => parseTime(time) !== null);
+        if (times.length === 0) return;
+
+        const title = line
+            .replace(TIMESTAMP_PATTERN, ' ')
+            .replace(/[([]\s*[)\]]/g, ' ')
+            .replace(/^\s*\d+[.)]\s+/, '')
+            .replace(/\s{2,}/g, ' ')
+            .replace(LABEL_TRIM_PATTERN, '');
+
+        const start = parseTime(times[0]);
+        const end = times.length > 1 ? parseTime(times[1]) : null;
+
+        entries.push({ title, start, end: end !== null && end > start ? end : null });
+    });
+
+    const sorted = entries
+        .sort((a, b) => a.start - b.start)
+        .filter((entry, index, list) => index === 0 || entry.start !== list[index - 1].start);
+
+    return sorted
+        .map((entry, index) => {
+            const next = sorted[index + 1];
+            const end = entry.end !== null ? entry.end : (next ? next.start : duration);
+
+            return {
+                title: entry.title || `Segmen ${index + 1}`,
+                start: entry.start,
+                end: duration ? Math.min(end, duration) : end
+            };
+        })
+        .filter(entry => Number.isFinite(entry.end) && entry.end > entry.start);
+}
+
+/**
+ * Pick chapters by index (all chapters when no indexes are given)
+ * @returns {Array|null} Selected chapters, null if an index is invalid
+ */
+function selectChapters(chapters, indexes) {
+    if (indexes === undefined || indexes === null) {
+        return chapters;
+    }
+
+    if (!Array.isArray(indexes) || indexes.length === 0) {
+        return null;
+    }
+
+    const unique = [...new Set(indexes)];
+    if (!unique.every(index => Number.isInteger(index) && index >= 0 && index < chapters.length)) {
+        return null;
+    }
+
+    return unique.sort((a, b) => a - b).map(index => chapters[index]);
+}
+
+/**
+ * Trim segments ({ start, end } strings) covering the given chapters
+ */
+function chaptersToSegments(chapters) {
+    return chapters.map(chapter => ({
+        start: formatTime(chapter.start),
+        end: formatTime(chapter.end)
+    }));
+}
+
+/**
+ * File name of a chapter inside the ZIP, e.g. "02-Main_topic.mp4"
+ * The number keeps chapters in order and names unique
+ */
+function getChapterFilename(chapter, position, extension) {
+    return `${String(position + 1).padStart(2, '0')}-${sanitizeFilename(chapter.title)}.${extension}`;
+}
+
+module.exports = {
+    listChapters,
+    parseTimestampList,
+    selectChapters,
+    chaptersToSegments,
+    getChapterFilename
+};
@@ -0,0 +1,262 @@
+/**
+ * Output Formats Module
+ * Container, codec and MIME details for every supported output format
+ */
+
+// libopus only encodes at these rates
+const OPUS_SAMPLE_RATES = ['48000', '24000', '16000', '12000', '8000'];
+
+/**
+ * type        - 'video', 'audio' or 'animation' (GIF / animated WebP, no audio)
+ * mime        - Content-Type for /download
+ * videoCodec  - Encoder used when video is re-encoded
+ * videoArgs   - Extra encoder arguments for videoCodec
+ * copyCodecs  - Source video codecs the container accepts for stream copy (null = any)
+ * smartCodec  - Source codec that allows smart cuts (copy mixed with videoCodec output)
+ * audioCodec  - Audio encoder
+ * lossless    - Audio bitrate setting does not apply
+ * sampleRates - Output sample rates audioCodec accepts, missing = any
+ * download    - Container yt-dlp merges into for full downloads
+ * subtitleCodec - Codec for soft (embedded) subtitle tracks, missing = not supported
+ */
+const FORMATS = {
+    mp4: {
+        type: 'video',
+        mime: 'video/mp4',
+        videoCodec: 'libx264',
+        videoArgs: ['-preset', 'veryfast', '-crf', '18'],
+        copyCodecs: null,
+        smartCodec: 'h264',
+        audioCodec: 'aac',
+        download: 'mp4',
+        subtitleCodec: 'mov_text'
+    },
+    webm: {
+        type: 'video',
+        mime: 'video/webm',
+        videoCodec: 'libvpx-vp9',
+        videoArgs: ['-crf', '32', '-b:v', '0', '-deadline', 'realtime', '-cpu-used', '8'],
+        copyCodecs: ['vp8', 'vp9', 'av1'],
+        smartCodec: 'vp9',
+        audioCodec: 'libopus',
+        sampleRates: OPUS_SAMPLE_RATES,
+        download: 'webm',
+        subtitleCodec: 'webvtt'
+    },
+    mkv: {
+        type: 'video',
+        mime: 'video/x-matroska',
+        videoCodec: 'libx264',
+        videoArgs: ['-preset', 'veryfast', '-crf', '18'],
+        copyCodecs: null,
+        smartCodec: 'h264',
+        audioCodec: 'aac',
+        download: 'mkv',
+        subtitleCodec: 'srt'
+    },
+    mov: {
+        type: 'video',
+        mime: 'video/quicktime',
+        videoCodec: 'libx264',
+        videoArgs: ['-preset', 'veryfast', '-crf', '18'],
+        copyCodecs: ['h264', 'hevc', 'mpeg4', 'prores'],
+        smartCodec: 'h264',
+        audioCodec: 'aac',
+        download: 'mp4',
+        subtitleCodec: 'mov_text'
+    },
+    gif: {
+        type: 'animation',
+        mime: 'image/gif',
+        download: 'mp4'
+    },
+    webp: {
+        type: 'animation',
+        mime: 'image/webp',
+        videoCodec: 'libwebp',
+        videoArgs: ['-lossless', '0', '-quality', '75', '-compression_level', '4'],
+        download: 'mp4'
+    },
+    mp3: {
+        type: 'audio',
+        mime: 'audio/mpeg',
+        audioCodec: 'libmp3lame'
+    },
+    m4a: {
+        type: 'audio',
+        mime: 'audio/mp4',
+        audioCodec: 'aac'
+    },
+    opus: {
+        type: 'audio',
+        mime: 'audio/ogg',
+        audioCodec: 'libopus',
+        sampleRates: OPUS_SAMPLE_RATES
+    },
+    wav: {
+        type: 'audio',
+        mime: 'audio/wav',
+        audioCodec: 'pcm_s16le',
+        lossless: true
+    },
+    flac: {
+        type: 'audio',
+        mime: 'audio/flac',
+        audioCodec: 'flac',
+        lossless: true
+    }
+};
+
+// Sidecar subtitle files returned next to the clip
+const SUBTITLE_FORMATS = {
+    srt: { mime: 'application/x-subrip' },
+    vtt: { mime: 'text/vtt' }
+};
+
+// Bundles of several output files
+const ARCHIVE_FORMATS = {
+    zip: { mime: 'application/zip' }
+};
+
+/**
+ * Get format details (falls back to mp4)
+ */
+function getFormat(format) {
+    return FORMATS[format] || FORMATS.mp4;
+}
+
+/**
+ * Check whether a format produces audio only
+ */
+function isAudioFormat(format) {
+    return getFormat(format).type === 'audio';
+}
+
+/**
+ * Check whether the format's audio encoder accepts an output sample rate
+ */
+function isSampleRateSupported(format, sampleRate) {
+    const { sampleRates } = getFormat(format);
+    return !sampleRates || sampleRates.includes(String(sampleRate));
+}
+
+/**
+ * Check whether a format is an animated image (GIF / WebP)
+ */
+function isAnimationFormat(format) {
+    return getFormat(format).type === 'animation';
+}
+
+/**
+ * ffmpeg arguments for animated GIF / WebP output
+ * GIFs get a palette generated from the clip itself, the default
+ * 256-color palette bands badly on video
+ * @param {string} format - gif | webp
+ * @param {Object} animation - { fps, width, loop }
+ */
+function getAnimationArgs(format, { fps, width, loop }) {
+    const scale = `fps=${fps},scale='min(${width},iw)':-2:flags=lanczos`;
+
+    if (format === 'gif') {
+        return [
+            '-vf', `${scale},split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=sierra2_4a`,
+            // gif: 0 = forever, -1 = play once
+            '-loop', loop ? '0' : '-1',
+            '-an'
+        ];
+    }
+
+    const spec = getFormat(format);
+    return [
+        '-vf', scale,
+        '-c:v', spec.videoCodec,
+        ...spec.videoArgs,
+        // webp: 0 = forever, 1 = play once
+        '-loop', loop ? '0' : '1',
+        '-an'
+    ];
+}
+
+/**
+ * Content-Type for a downloadable file extension
+ */
+function getMimeType(extension) {
+    const extra = SUBTITLE_FORMATS[extension] || ARCHIVE_FORMATS[extension];
+    return extra ? extra.mime : getFormat(extension).mime;
+}
+
+/**
+ * Check whether /download serves an extension besides the output formats
+ */
+function isExtraDownload(extension) {
+    return Boolean(SUBTITLE_FORMATS[extension] || ARCHIVE_FORMATS[extension]);
+}
+
+/**
+ * yt-dlp format selector for the requested output
+ * @param {string} format - Output format
+ * @param {string} quality - Max video height
+ */
+function getFormatSelector(format, quality) {
+    if (isAudioFormat(format)) {
+        return 'bestaudio/best';
+    }
+
+    // Animations have no audio track
+    if (isAnimationFormat(format)) {
+        return `bestvideo[height<=${quality}]/best[height<=${quality}]/best`;
+    }
+
+    // Prefer sources that can be stream-copied into the container
+    if (format === 'webm') {
+        return `bestvideo[height<=${quality}][ext=webm]+bestaudio[ext=webm]/bestvideo[height<=${quality}]+bestaudio/best[height<=${quality}]/best`;
+    }
+
+    if (format === 'mov') {
+        return `bestvideo[height<=${quality}][vcodec^=avc1]+bestaudio/bestvideo[height<=${quality}]+bestaudio/best[height<=${quality}]/best`;
+    }
+
+    // Use simpler format selection that's more compatible
+    return `bestvideo[height<=${quality}]+bestaudio/best[height<=${quality}]/best`;
+}
+
+/**
+ * ffmpeg codec arguments for the output format
+ * @param {string} format - Output format
+ * @param {Object} [options]
+ * @param {boolean} [options.reencode] - Re-encode video instead of stream copy (frame-accurate cuts)
+ * @param {string} [options.audioBitrate] - kbps for lossy audio formats
+ * @param {Object} [options.animation] - { fps, width, loop } for gif / webp
+ */
+function getCodecArgs(format, { reencode = false, audioBitrate, animation } = {}) {
+    const spec = getFormat(format);
+
+    if (spec.type === 'animation') {
+        return getAnimationArgs(format, animation);
+    }
+
+    if (spec.type === 'audio') {
+        const bitrateArgs = !spec.lossless && audioBitrate ? ['-b:a', `${audioBitrate}k`] : [];
+        return ['-vn', '-c:a', spec.audioCodec, ...bitrateArgs];
+    }
+
+    const videoArgs = reencode
+        ? ['-c:v', spec.videoCodec, ...spec.videoArgs]
+        : ['-c:v', 'copy'];
+
+    return [...videoArgs, '-c:a', spec.audioCodec];
+}
+
+module.exports = {
+    FORMATS,
+    SUBTITLE_FORMATS,
+    ARCHIVE_FORMATS,
+    getFormat,
+    getMimeType,
+    isExtraDownload,
+    isAudioFormat,
+    isAnimationFormat,
+    isSampleRateSupported,
+    getFormatSelector,
+    getCodecArgs
+};
@@ -0,0 +1,102 @@
+/**
+ * Job Queue Module
+ * Bounded FIFO queue that limits how many trim jobs run at the same time
+ */
+
+const logger = require('./logger');
+
+class JobQueue {
+    /**
+     * @param {Object} options
+     * @param {number} options.concurrency - Max jobs running at once
+     * @param {Function} [options.onPositionChange] - Called with (taskId, position) for every waiting job when the line moves
+     */
+    constructor({ concurrency, onPositionChange } = {}) {
+        this.concurrency = Math.max(1, concurrency || 1);
+        this.onPositionChange = onPositionChange || (() => { });
+        this.waiting = [];
+        this.running = new Set();
+    }
+
+    /**
+     * Add a job to the queue. Starts it right away if a slot is free.
+     * @param {string} taskId
+     * @param {Function} run - Async function doing the actual work
+     * @returns {number} 0 if the job started immediately, otherwise its 1-based position in line
+     */
+    enqueue(taskId, run) {
+        this.waiting.push({ taskId, run });
+        this._next();
+
+        const position = this.position(taskId);
+        if (position > 0) {
+            logger.info('Job queued', { taskId, position, running: this.running.size });
+        }
+        return position;
+    }
+
+    /**
+     * Get the 1-based position of a waiting job (0 if running or unknown)
+     */
+    position(taskId) {
+        return this.waiting.findIndex(job => job.taskId === taskId) + 1;
+    }
+
+    /**
+     * IDs of all waiting and running jobs
+     */
+    taskIds() {
+        return [...this.waiting.map(job => job.taskId), ...this.running];
+    }
+
+    /**
+     * Remove a waiting job before it starts
+     * @returns {boolean} true if the job was waiting and got removed
+     */
+    remove(taskId) {
+        const index = this.waiting.findIndex(job => job.taskId === taskId);
+        if (index === -1) return false;
+
+        this.waiting.splice(index, 1);
+        this._notifyPositions();
+        return true;
+    }
+
+    /**
+     * Queue statistics (used by /health)
+     */
+    stats() {
+        return {
+            running: this.running.size,
+            waiting: this.waiting.length,
+            concurrency: this.concurrency
+        };
+    }
+
+    _next() {
+        while (this.running.size < this.concurrency && this.waiting.length > 0) {
+            const job = this.waiting.shift();
+            this.running.add(job.taskId);
+
+            Promise.resolve()
+                .then(() => job.run())
+                .catch(err => {
+                    logger.error('Job failed', { taskId: job.taskId, error: err.message });
+                })
+                .finally(() => {
+                    this.running.delete(job.taskId);
+                    this._next();
+                });
+
+            this._notifyPositions();
+        }
+    }
+
+    _notifyPositions() {
+        this.waiting.forEach((job, index) => {
+            this.onPositionChange(job.taskId, index + 1);
+        });
+    }
+}
+
+module.exports = JobQueue;
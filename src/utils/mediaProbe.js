@@ -0,0 +1,136 @@
+/**
+ * Media Probe Module
+ * ffprobe / ffmpeg helpers for codec, keyframe and frame information
+ */
+
+const util = require('util');
+const execFile = util.promisify(require('child_process').execFile);
+const logger = require('./logger');
+const { toFfmpegTime } = require('./time');
+
+/**
+ * Codec name of the first stream of a type
+ * @param {string} input - Local file or stream URL
+ * @param {string} stream - "v:0" or "a:0"
+ */
+async function getCodec(input, stream) {
+    try {
+        const { stdout } = await execFile('ffprobe', [
+            '-v', 'error',
+            '-select_streams', stream,
+            '-show_entries', 'stream=codec_name',
+            '-of', 'csv=p=0',
+            input
+        ], { timeout: 30000 });
+
+        return stdout.trim() || null;
+    } catch (error) {
+        logger.warn('ffprobe codec check failed', { stream, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Get the codec name of the first video stream
+ * @param {string} input - Local file or stream URL
+ * @returns {Promise<string|null>} e.g. "h264", null if there is no video stream
+ */
+function getVideoCodec(input) {
+    return getCodec(input, 'v:0');
+}
+
+/**
+ * Get the codec name of the first audio stream
+ * @param {string} input - Local file or stream URL
+ * @returns {Promise<string|null>} e.g. "aac", null if there is no audio stream
+ */
+function getAudioCodec(input) {
+    return getCodec(input, 'a:0');
+}
+
+/**
+ * Get the duration of a file or stream
+ * @param {string} input - Local file or stream URL
+ * @returns {Promise<number|null>} Seconds, null if unknown
+ */
+async function getDuration(input) {
+    try {
+        const { stdout } = await execFile('ffprobe', [
+            '-v', 'error',
+            '-show_entries', 'format=duration',
+            '-of', 'csv=p=0',
+            input
+        ], { timeout: 30000 });
+
+        const duration = parseFloat(stdout);
+        return Number.isFinite(duration) && duration > 0 ? duration : null;
+    } catch (error) {
+        logger.warn('ffprobe duration check failed', { error: error.message });
+        return null;
+    }
+}
+
+/**
+ * List keyframe timestamps (seconds) of the first video stream within a range
+ * @param {string} input - Local file or stream URL
+ * @param {number} start - Range start in seconds
+ * @param {number} duration - Range length in seconds
+ * @returns {Promise<number[]>} Sorted keyframe times, empty on failure
+ */
+async function getKeyframes(input, start, duration) {
+    try {
+        const { stdout } = await execFile('ffprobe', [
+            '-v', 'error',
+            '-select_streams', 'v:0',
+            '-skip_frame', 'nokey',
+            '-show_entries', 'frame=pts_time',
+            '-read_intervals', `${start}%+${duration}`,
+            '-of', 'csv=p=0',
+            input
+        ], { timeout: 60000, maxBuffer: 1024 * 1024 * 5 });
+
+        return stdout
+            .split('\n')
+            .map(line => parseFloat(line))
+            .filter(time => !Number.isNaN(time))
+            .sort((a, b) => a - b);
+    } catch (error) {
+        logger.warn('ffprobe keyframe scan failed', { error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Grab a single frame as JPEG
+ * @param {string} input - Local file or stream URL
+ * @param {number} time - Position in seconds
+ * @param {number} width - Output width in pixels (height keeps the aspect ratio)
+ * @returns {Promise<Buffer>} JPEG data, rejects when there is no frame at that time
+ */
+async function extractFrame(input, time, width) {
+    const { stdout } = await execFile('ffmpeg', [
+        '-v', 'error',
+        '-ss', toFfmpegTime(time),
+        '-i', input,
+        '-frames:v', '1',
+        '-vf', `scale=${width}:-2`,
+        '-f', 'image2pipe',
+        '-c:v', 'mjpeg',
+        '-q:v', '4',
+        'pipe:1'
+    ], { encoding: 'buffer', timeout: 30000, maxBuffer: 1024 * 1024 * 5 });
+
+    if (stdout.length === 0) {
+        throw new Error('No frame at this position');
+    }
+
+    return stdout;
+}
+
+module.exports = {
+    getVideoCodec,
+    getAudioCodec,
+    getDuration,
+    getKeyframes,
+    extractFrame
+};
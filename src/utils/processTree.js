@@ -0,0 +1,47 @@
+/**
+ * Process Tree Module
+ * Spawn child processes in their own group so the whole tree can be killed
+ */
+
+const { spawn, exec } = require('child_process');
+const logger = require('./logger');
+
+const isWindows = process.platform === 'win32';
+
+/**
+ * Spawn a process that can later be stopped with killProcessTree.
+ * On POSIX the child becomes a process group leader, so processes started
+ * by the shell (yt-dlp -> ffmpeg) are killed together with it.
+ */
+function spawnProcess(command, args = [], options = {}) {
+    return spawn(command, args, {
+        ...options,
+        detached: !isWindows
+    });
+}
+
+/**
+ * Kill a child process and everything it started
+ * @param {ChildProcess} child
+ */
+function killProcessTree(child) {
+    if (!child || child.exitCode !== null || child.killed) {
+        return;
+    }
+
+    try {
+        if (isWindows) {
+            exec(`taskkill /pid ${child.pid} /T /F`);
+        } else {
+            process.kill(-child.pid, 'SIGKILL');
+        }
+    } catch (error) {
+        logger.warn('Could not kill process tree', { pid: child.pid, error: error.message });
+        child.kill('SIGKILL');
+    }
+}
+
+module.exports = {
+    spawnProcess,
+    killProcessTree
+};
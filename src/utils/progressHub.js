@@ -0,0 +1,136 @@
+/**
+ * Progress Hub Module
+ * Fan-out of task progress events to SSE subscribers, with event IDs,
+ * a per-task replay buffer and heartbeats
+ */
+
+const config = require('../config');
+const logger = require('./logger');
+const { FINAL_STATUSES } = require('./taskStore');
+
+// taskId -> { nextId, events: [{ id, data }], subscribers: Map<res, heartbeatTimer>, expireTimer }
+const channels = new Map();
+
+function getChannel(taskId) {
+    if (!channels.has(taskId)) {
+        channels.set(taskId, { nextId: 1, events: [], subscribers: new Map(), expireTimer: null });
+    }
+    return channels.get(taskId);
+}
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+function isFinal(event) {
+    return event && FINAL_STATUSES.includes(event.data.status);
+}
+
+/**
+ * Publish a progress event to every subscriber of a task
+ * @param {string} taskId
+ * @param {Object} data - Progress payload
+ */
+function publish(taskId, data) {
+    const channel = getChannel(taskId);
+    const event = { id: channel.nextId++, data };
+
+    channel.events.push(event);
+    if (channel.events.length > config.sse.bufferSize) {
+        channel.events.shift();
+    }
+
+    channel.subscribers.forEach((heartbeat, res) => {
+        writeEvent(res, event);
+        if (isFinal(event)) {
+            // No heartbeat may be written after the stream has ended
+            clearInterval(heartbeat);
+            res.end();
+        }
+    });
+
+    // Keep finished tasks around for a while so late clients can still replay
+    if (isFinal(event)) {
+        clearTimeout(channel.expireTimer);
+        channel.expireTimer = setTimeout(() => channels.delete(taskId), config.sse.bufferTtlMs);
+    }
+}
+
+/**
+ * Latest event payload of a task (null if unknown)
+ */
+function latest(taskId) {
+    const channel = channels.get(taskId);
+    const last = channel && channel.events[channel.events.length - 1];
+    return last ? last.data : null;
+}
+
+/**
+ * Attach an SSE response to a task.
+ * With a Last-Event-ID every buffered event after it is replayed,
+ * otherwise the subscriber gets the latest state right away.
+ * @param {string} taskId
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Object} [fallback] - State to send when nothing is buffered (e.g. from the task store)
+ */
+function subscribe(taskId, req, res, fallback = null) {
+    const channel = getChannel(taskId);
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    const lastEvent = channel.events[channel.events.length - 1];
+
+    // Finished task and the client already saw the final event: 204 tells
+    // EventSource to stop reconnecting
+    if (isFinal(lastEvent) && lastEventId >= lastEvent.id) {
+        return res.status(204).end();
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    // Reconnect delay for EventSource, then the connection message (no id,
+    // so it does not move the client's Last-Event-ID)
+    res.write(`retry: ${config.sse.retryMs}\n`);
+    res.write(`data: ${JSON.stringify({ status: 'connected', progress: 0 })}\n\n`);
+
+    if (!Number.isNaN(lastEventId) && lastEvent) {
+        channel.events
+            .filter(event => event.id > lastEventId)
+            .forEach(event => writeEvent(res, event));
+        logger.debug('SSE replay', { taskId, lastEventId });
+    } else if (lastEvent) {
+        writeEvent(res, lastEvent);
+    } else if (fallback) {
+        res.write(`data: ${JSON.stringify(fallback)}\n\n`);
+    }
+
+    // Nothing more will come for a finished task
+    if (isFinal(lastEvent) || (!lastEvent && fallback && FINAL_STATUSES.includes(fallback.status))) {
+        if (!lastEvent) channels.delete(taskId);
+        return res.end();
+    }
+
+    // Comment lines keep proxies from closing idle streams
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.sse.heartbeatMs);
+    channel.subscribers.set(res, heartbeat);
+
+    logger.debug('SSE connection established', { taskId, subscribers: channel.subscribers.size });
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        channel.subscribers.delete(res);
+        if (channel.events.length === 0 && channel.subscribers.size === 0) {
+            channels.delete(taskId);
+        }
+        logger.debug('SSE connection closed', { taskId, subscribers: channel.subscribers.size });
+    });
+}
+
+module.exports = {
+    publish,
+    latest,
+    subscribe
+};
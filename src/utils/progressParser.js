@@ -0,0 +1,86 @@
+/**
+ * Progress Parser Module
+ * Turns yt-dlp and ffmpeg progress output into numbers for the SSE payload
+ */
+
+/**
+ * Convert "HH:MM:SS" / "MM:SS" / "SS" to seconds
+ */
+function clockToSeconds(clock) {
+    return clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Parse a yt-dlp progress line, e.g.
+ * "[download]  45.3% of 100.00MiB at  2.50MiB/s ETA 00:30"
+ * @returns {{percent: number, totalSize: string|null, speed: string|null, eta: number|null}|null}
+ */
+function parseYtDlpProgress(line) {
+    const match = line.match(/(\d+\.?\d*)%/);
+    if (!match) return null;
+
+    const size = line.match(/of\s+~?\s*([\d.]+\s*[KMGT]?i?B)/);
+    const speed = line.match(/at\s+([\d.]+\s*[KMGT]?i?B\/s)/);
+    const eta = line.match(/ETA\s+(\d+(?::\d+)*)/);
+
+    return {
+        percent: parseFloat(match[1]),
+        totalSize: size ? size[1] : null,
+        speed: speed ? speed[1] : null,
+        eta: eta ? clockToSeconds(eta[1]) : null
+    };
+}
+
+/**
+ * Create a parser for `ffmpeg -progress pipe:1` output.
+ * ffmpeg writes key=value lines and ends every block with "progress=...".
+ * @param {Function} onUpdate - Called with { outTime, speed } (seconds, speed factor) per block
+ * @returns {Function} Feed stdout chunks into this
+ */
+function createFfmpegProgressParser(onUpdate) {
+    let buffer = '';
+    let block = {};
+
+    return (chunk) => {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        lines.forEach(line => {
+            const [key, value] = line.trim().split('=');
+            if (!key) return;
+
+            block[key] = value;
+
+            if (key === 'progress') {
+                // out_time_us is in microseconds (out_time_ms too, despite its name)
+                const outTimeUs = parseInt(block.out_time_us || block.out_time_ms);
+                const speed = parseFloat(block.speed);
+
+                if (!Number.isNaN(outTimeUs) && outTimeUs >= 0) {
+                    onUpdate({
+                        outTime: outTimeUs / 1000000,
+                        speed: Number.isNaN(speed) ? null : speed
+                    });
+                }
+                block = {};
+            }
+        });
+    };
+}
+
+/**
+ * Estimate remaining wall-clock seconds of an ffmpeg job
+ * @param {number} remainingMedia - Media seconds still to process
+ * @param {number|null} speed - ffmpeg speed factor (e.g. 2.5 for "2.5x")
+ */
+function estimateEta(remainingMedia, speed) {
+    if (!speed || speed <= 0) return null;
+    return Math.max(0, Math.round(remainingMedia / speed));
+}
+
+module.exports = {
+    parseYtDlpProgress,
+    createFfmpegProgressParser,
+    estimateEta
+};
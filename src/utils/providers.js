@@ -0,0 +1,198 @@
+/**
+ * Media Providers Module
+ * Sites accepted as input. Every provider knows its URL patterns, how to get
+ * a media ID and canonical URL from them, and fallbacks for when yt-dlp
+ * metadata is not available. Which providers are active is set by
+ * ALLOWED_SITES / EXTRA_SITE_HOSTS.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+// Characters that must never reach a shell command
+const SHELL_METACHARACTERS = /[;&|`$(){}[\]<>\\'"\s]/;
+
+// Media IDs name cache directories and appear in /timeline/:videoId URLs
+const MEDIA_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * site      - Key in ALLOWED_SITES
+ * name      - Shown in fallback titles
+ * patterns  - Accepted URLs, the first capture group is the ID
+ * mediaId   - Cache key from the ID (YouTube keeps the bare ID)
+ * canonical - URL rebuilt from the ID, the only form passed to yt-dlp / ffmpeg
+ * thumbnail - Fallback thumbnail URL, null when the site has none without an API
+ * clip      - The URL points at a section of another video (resolved via yt-dlp)
+ */
+const PROVIDERS = {
+    youtube: {
+        site: 'youtube',
+        name: 'YouTube',
+        patterns: [
+            /^https?:\/\/(?:www\.|m\.)?youtube\.com\/watch\?v=([\w-]{11})(?:[&#].*)?$/,
+            /^https?:\/\/youtu\.be\/([\w-]{11})(?:[?#].*)?$/,
+            /^https?:\/\/(?:www\.)?youtube\.com\/shorts\/([\w-]{11})(?:[?#].*)?$/,
+            /^https?:\/\/(?:www\.)?youtube\.com\/embed\/([\w-]{11})(?:[?#].*)?$/
+        ],
+        mediaId: id => id,
+        canonical: id => `https://www.youtube.com/watch?v=${id}`,
+        thumbnail: id => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+    },
+    youtubeClip: {
+        site: 'youtube',
+        name: 'YouTube Clip',
+        patterns: [
+            /^https?:\/\/(?:www\.)?youtube\.com\/clip\/([\w-]{10,60})(?:[?#].*)?$/
+        ],
+        mediaId: id => `clip-${id}`.slice(0, 64),
+        canonical: id => `https://www.youtube.com/clip/${id}`,
+        thumbnail: () => null,
+        clip: true
+    },
+    vimeo: {
+        site: 'vimeo',
+        name: 'Vimeo',
+        patterns: [
+            /^https?:\/\/(?:www\.)?vimeo\.com\/(\d{5,12})(?:[/?#].*)?$/,
+            /^https?:\/\/player\.vimeo\.com\/video\/(\d{5,12})(?:[?#].*)?$/
+        ],
+        mediaId: id => `vimeo-${id}`,
+        canonical: id => `https://vimeo.com/${id}`,
+        thumbnail: () => null
+    },
+    twitch: {
+        site: 'twitch',
+        name: 'Twitch',
+        patterns: [
+            /^https?:\/\/(?:www\.|m\.)?twitch\.tv\/videos\/(\d{5,12})(?:[?#].*)?$/
+        ],
+        mediaId: id => `twitch-${id}`,
+        canonical: id => `https://www.twitch.tv/videos/${id}`,
+        thumbnail: () => null
+    }
+};
+
+/**
+ * Provider for pages on EXTRA_SITE_HOSTS (conference archives and other
+ * sites yt-dlp handles). The ID is the URL without query and fragment
+ */
+const GENERIC_PROVIDER = {
+    site: 'generic',
+    name: 'Video',
+    mediaId: id => `web-${crypto.createHash('sha1').update(id).digest('hex').slice(0, 16)}`,
+    canonical: id => id,
+    thumbnail: () => null
+};
+
+/**
+ * Match a generic page URL: https, a listed host, a plain path
+ */
+function matchGeneric(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return null;
+    }
+
+    if (parsed.protocol !== 'https:' || parsed.username || parsed.password || parsed.port) return null;
+    if (!config.sites.extraHosts.includes(parsed.hostname.toLowerCase())) return null;
+    if (!/^\/[\w\-./~%+]*$/.test(parsed.pathname) || parsed.pathname.includes('..')) return null;
+
+    return `https://${parsed.hostname.toLowerCase()}${parsed.pathname}`;
+}
+
+/**
+ * Find the provider of a URL among the allowed sites
+ * @param {string} url - URL as entered
+ * @returns {{provider: Object, key: string, id: string, url: string, mediaId: string}|null}
+ *          url is the canonical URL, null when the URL is invalid or the site is not allowed
+ */
+function resolveProvider(url) {
+    if (!url || typeof url !== 'string') {
+        return null;
+    }
+
+    // Length check - URLs shouldn't be too long
+    if (url.length > 200) {
+        return null;
+    }
+
+    const trimmed = url.trim();
+
+    // Query strings and fragments are dropped below, the rest must be clean
+    if (SHELL_METACHARACTERS.test(trimmed.split(/[?#]/)[0])) {
+        return null;
+    }
+
+    let match = null;
+
+    for (const [key, provider] of Object.entries(PROVIDERS)) {
+        if (!config.sites.allowed.includes(provider.site)) continue;
+
+        const pattern = provider.patterns.find(candidate => candidate.test(trimmed));
+        if (pattern) {
+            match = { key, provider, id: pattern.exec(trimmed)[1] };
+            break;
+        }
+    }
+
+    if (!match && config.sites.allowed.includes('generic')) {
+        const id = matchGeneric(trimmed);
+        if (id) match = { key: 'generic', provider: GENERIC_PROVIDER, id };
+    }
+
+    if (!match) {
+        return null;
+    }
+
+    const canonical = match.provider.canonical(match.id);
+    const mediaId = match.provider.mediaId(match.id);
+
+    // Extra safety: the rebuilt URL and the ID never carry shell metacharacters
+    if (SHELL_METACHARACTERS.test(canonical) || !MEDIA_ID_PATTERN.test(mediaId)) {
+        return null;
+    }
+
+    return { ...match, url: canonical, mediaId };
+}
+
+/**
+ * Canonical URL of an allowed media link, null when not accepted
+ */
+function sanitizeMediaUrl(url) {
+    const resolved = resolveProvider(url);
+    return resolved ? resolved.url : null;
+}
+
+/**
+ * Check whether a link is a YouTube Clip, whose range comes from yt-dlp metadata
+ */
+function isClipUrl(url) {
+    const resolved = resolveProvider(url);
+    return Boolean(resolved && resolved.provider.clip);
+}
+
+/**
+ * Preview data when yt-dlp metadata cannot be fetched
+ * @returns {{provider: string, title: string, thumbnail: string|null}|null}
+ */
+function getFallbackInfo(url) {
+    const resolved = resolveProvider(url);
+    if (!resolved) return null;
+
+    return {
+        provider: resolved.key,
+        title: `Video ${resolved.provider.name}`,
+        thumbnail: resolved.provider.thumbnail(resolved.id)
+    };
+}
+
+module.exports = {
+    PROVIDERS,
+    MEDIA_ID_PATTERN,
+    resolveProvider,
+    sanitizeMediaUrl,
+    isClipUrl,
+    getFallbackInfo
+};
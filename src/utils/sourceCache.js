@@ -0,0 +1,292 @@
+/**
+ * Source Cache Module
+ * Full downloads of a video, kept on disk and shared by every trim of the
+ * same source. Entries are keyed by media ID and the yt-dlp selection, the
+ * total size is capped (SOURCE_CACHE_MAX_MB) and the least recently used
+ * files go first. Files in use by a task are reference counted and never
+ * evicted. Range downloads (DOWNLOAD_MODE=range) fetch only a task's own
+ * segments and are not cached or shared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+const { isAudioFormat, isAnimationFormat } = require('./formats');
+
+const cacheRoot = path.resolve(__dirname, '../..', config.sourceCache.dir);
+const maxBytes = config.sourceCache.maxSizeMB * 1024 * 1024;
+
+// Cached file names: "<mediaId>.<format|audio|animation>.<quality|best>.<ext>"
+const ENTRY_PATTERN = /^([\w-]+\.\w+\.\w+)\.(\w+)$/;
+
+// key -> { file, size, refs, lastUsed }, in least recently used order
+const entries = new Map();
+
+// Downloads in flight: key -> { promise, listeners, waiting }, so tasks for one source share a download
+const pending = new Map();
+
+const counters = { hits: 0, misses: 0, shared: 0, evictions: 0 };
+
+let loaded = false;
+
+/**
+ * Whether the cache is on (SOURCE_CACHE_MAX_MB=0 turns it off)
+ */
+function isEnabled() {
+    return maxBytes > 0;
+}
+
+/**
+ * Cache key of a source
+ * Formats with the same yt-dlp selector share a key: every audio format
+ * downloads bestaudio whatever the quality, GIF and WebP the same video-only
+ * stream
+ * @param {string} mediaId - From providers.resolveProvider()
+ * @param {string} format - Output format (decides the yt-dlp selector)
+ * @param {string} quality
+ */
+function getKey(mediaId, format, quality) {
+    if (isAudioFormat(format)) {
+        return `${mediaId}.audio.best`;
+    }
+    if (isAnimationFormat(format)) {
+        return `${mediaId}.animation.${quality}`;
+    }
+    return `${mediaId}.${format}.${quality}`;
+}
+
+/**
+ * Pick up finished files from a previous run, drop partial ones
+ */
+function load() {
+    if (loaded) return;
+    loaded = true;
+
+    fs.mkdirSync(cacheRoot, { recursive: true });
+
+    fs.readdirSync(cacheRoot)
+        .map(name => ({ name, stats: fs.statSync(path.join(cacheRoot, name)) }))
+        .sort((a, b) => a.stats.mtimeMs - b.stats.mtimeMs)
+        .forEach(({ name, stats }) => {
+            const match = ENTRY_PATTERN.exec(name);
+            const file = path.join(cacheRoot, name);
+
+            if (match && stats.isFile() && !/^(part|ytdl|tmp|temp)$/.test(match[2]) && !entries.has(match[1])) {
+                entries.set(match[1], { file, size: stats.size, refs: 0, lastUsed: stats.mtimeMs });
+                return;
+            }
+
+            try {
+                fs.rmSync(file, { recursive: true, force: true });
+            } catch (error) {
+                logger.warn('Could not delete stale source cache file', { file: name, error: error.message });
+            }
+        });
+
+    evict();
+}
+
+/**
+ * Total size of all cached files in bytes
+ */
+function totalSize() {
+    let total = 0;
+    for (const entry of entries.values()) total += entry.size;
+    return total;
+}
+
+/**
+ * Delete least recently used, unused files until the cache fits its cap
+ */
+function evict() {
+    for (const [key, entry] of entries) {
+        if (totalSize() <= maxBytes) return;
+        if (entry.refs > 0) continue;
+
+        entries.delete(key);
+        counters.evictions++;
+
+        try {
+            fs.unlinkSync(entry.file);
+        } catch (error) {
+            logger.warn('Could not delete evicted source', { key, error: error.message });
+        }
+
+        logger.info('Source evicted from cache', { key, sizeMB: Math.round(entry.size / 1024 / 1024) });
+    }
+}
+
+/**
+ * Take a reference on a cached entry and move it to the recent end
+ * @param {string} key
+ * @param {boolean} [reserved=false] - The reference was already counted when the download finished
+ */
+function use(key, reserved = false) {
+    const entry = entries.get(key);
+    entries.delete(key);
+    entries.set(key, entry);
+
+    if (!reserved) entry.refs++;
+    entry.lastUsed = Date.now();
+
+    let released = false;
+    return {
+        file: entry.file,
+        release: () => {
+            if (released) return;
+            released = true;
+            entry.refs--;
+            entry.lastUsed = Date.now();
+            evict();
+        }
+    };
+}
+
+/**
+ * Whether a finished download of the source is cached
+ */
+function has(key) {
+    load();
+    return entries.has(key) && fs.existsSync(entries.get(key).file);
+}
+
+/**
+ * Get a source file, downloading it once when it is not cached
+ * Call release() when the task no longer reads the file
+ * @param {string} key - getKey()
+ * @param {Function} download - (basePath, onProgress) => Promise<string>, downloads to
+ *        `<basePath>.<ext>` and resolves with the file path
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - Download progress, also while waiting on another task's download
+ * @param {Function} [callbacks.onWait] - Called when another task is already downloading the source
+ * @param {AbortSignal} [callbacks.signal] - Stops waiting on another task's download (task cancelled)
+ * @returns {Promise<{file: string, cache: 'hit'|'miss'|'shared', release: Function}>}
+ */
+async function acquire(key, download, { onProgress = () => { }, onWait = () => { }, signal } = {}) {
+    load();
+    return acquireEntry(key, download, { onProgress, onWait, signal }, true);
+}
+
+/**
+ * Wait for another task's download, or until the signal aborts
+ * An aborted waiter gives back its reservation right away, so the reference
+ * counts stay right when the download finishes later
+ */
+function waitForDownload(shared, signal) {
+    if (!signal) return shared.promise;
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            shared.waiting--;
+            reject(new Error('Proses dibatalkan'));
+        };
+
+        if (signal.aborted) return onAbort();
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        shared.promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * acquire() without the initial load, canRetry is false on the retry
+ */
+async function acquireEntry(key, download, callbacks, canRetry) {
+    const { onProgress, onWait, signal } = callbacks;
+
+    // A file deleted behind our back is downloaded again
+    if (entries.has(key) && !fs.existsSync(entries.get(key).file)) {
+        entries.delete(key);
+    }
+
+    if (entries.has(key)) {
+        counters.hits++;
+        return { ...use(key), cache: 'hit' };
+    }
+
+    // Someone is downloading this source already: wait for it. If that
+    // download fails (e.g. its task was cancelled) try once more
+    if (pending.has(key)) {
+        const shared = pending.get(key);
+        shared.listeners.add(onProgress);
+        shared.waiting++;
+        onWait();
+
+        try {
+            await waitForDownload(shared, signal);
+        } catch (error) {
+            if (!canRetry || signal?.aborted) throw error;
+            logger.warn('Shared source download failed, retrying', { key, error: error.message });
+            return acquireEntry(key, download, callbacks, false);
+        } finally {
+            shared.listeners.delete(onProgress);
+        }
+
+        counters.shared++;
+        return { ...use(key, true), cache: 'shared' };
+    }
+
+    counters.misses++;
+
+    // Every task waiting on the download holds a reference from the moment it
+    // is cached, so nothing evicts it before they get to it
+    const shared = { listeners: new Set([onProgress]), waiting: 1 };
+    const basePath = path.join(cacheRoot, key);
+
+    shared.promise = download(basePath, data => shared.listeners.forEach(listener => listener(data)))
+        .then((file) => {
+            const size = fs.statSync(file).size;
+            entries.set(key, { file, size, refs: shared.waiting, lastUsed: Date.now() });
+            logger.info('Source cached', { key, sizeMB: Math.round(size / 1024 / 1024), tasks: shared.waiting });
+        })
+        .catch((error) => {
+            // Leftovers of the failed download (.part files, half merged output)
+            fs.readdirSync(cacheRoot)
+                .filter(name => name.startsWith(`${key}.`))
+                .forEach(name => {
+                    try { fs.unlinkSync(path.join(cacheRoot, name)); } catch (e) { }
+                });
+            throw error;
+        })
+        .finally(() => pending.delete(key));
+
+    pending.set(key, shared);
+    await shared.promise;
+
+    const source = use(key, true);
+    evict();
+    return { ...source, cache: 'miss' };
+}
+
+/**
+ * Counters and size for /health
+ */
+function stats() {
+    if (!isEnabled()) {
+        return { enabled: false };
+    }
+
+    load();
+    const inUse = [...entries.values()].filter(entry => entry.refs > 0).length;
+
+    return {
+        enabled: true,
+        ...counters,
+        entries: entries.size,
+        inUse,
+        downloading: pending.size,
+        sizeMB: Math.round(totalSize() / 1024 / 1024),
+        maxSizeMB: config.sourceCache.maxSizeMB
+    };
+}
+
+module.exports = {
+    isEnabled,
+    getKey,
+    has,
+    acquire,
+    stats
+};
@@ -0,0 +1,77 @@
+/**
+ * Stream Cache Module
+ * Remembers the direct stream URLs yt-dlp resolves for a video, so repeated
+ * frame previews skip the slow lookup
+ */
+
+const util = require('util');
+const execFile = util.promisify(require('child_process').execFile);
+const config = require('../config');
+const logger = require('./logger');
+
+// "videoId|selector" -> { urls, expiresAt }
+const cache = new Map();
+
+// Lookups in flight, so parallel requests share one yt-dlp call
+const pending = new Map();
+
+/**
+ * Drop expired entries
+ */
+function prune() {
+    const now = Date.now();
+    for (const [key, entry] of cache.entries()) {
+        if (entry.expiresAt <= now) cache.delete(key);
+    }
+}
+
+/**
+ * Get the stream URLs of a video for a format selector
+ * @param {string} videoId - Cache key
+ * @param {string} url - Sanitized video URL
+ * @param {string} selector - yt-dlp format selector
+ * @returns {Promise<string[]>}
+ */
+async function getStreamUrls(videoId, url, selector) {
+    const key = `${videoId}|${selector}`;
+    const cached = cache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.urls;
+    }
+
+    if (pending.has(key)) {
+        return pending.get(key);
+    }
+
+    const lookup = execFile('yt-dlp', ['-f', selector, '-g', url], { timeout: 30000 })
+        .then(({ stdout }) => {
+            const urls = stdout.split('\n').map(line => line.trim()).filter(line => /^https?:\/\//.test(line));
+            if (urls.length === 0) {
+                throw new Error('Stream URL tidak ditemukan');
+            }
+
+            prune();
+            cache.set(key, { urls, expiresAt: Date.now() + config.preview.streamUrlTtlMs });
+            logger.debug('Stream URL cached', { videoId, streams: urls.length });
+            return urls;
+        })
+        .finally(() => pending.delete(key));
+
+    pending.set(key, lookup);
+    return lookup;
+}
+
+/**
+ * Forget every cached URL of a video (e.g. after the stream expired)
+ */
+function invalidate(videoId) {
+    for (const key of cache.keys()) {
+        if (key.startsWith(`${videoId}|`)) cache.delete(key);
+    }
+}
+
+module.exports = {
+    getStreamUrls,
+    invalidate
+};
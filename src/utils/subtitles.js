@@ -0,0 +1,147 @@
+/**
+ * Subtitles Module
+ * Parses WebVTT / SRT captions, shifts them onto the trimmed clip's
+ * timeline and writes them back as SRT or WebVTT
+ */
+
+const { parseTime } = require('./time');
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&quot;': '"', '&#39;': '\'' };
+
+/**
+ * "00:01:02.345" / "01:02.345" / "00:01:02,345" -> seconds
+ */
+function parseTimestamp(timestamp) {
+    return timestamp
+        .replace(',', '.')
+        .split(':')
+        .reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Seconds -> "HH:MM:SS.mmm" (separator "," for SRT)
+ */
+function formatTimestamp(seconds, separator = '.') {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Remove VTT/SRT markup (<c>, <b>, word timings) and decode entities
+ */
+function cleanText(line) {
+    return line
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(amp|lt|gt|nbsp|quot|#39);/g, entity => ENTITIES[entity])
+        .trim();
+}
+
+/**
+ * Parse a WebVTT or SRT file into cues
+ * YouTube auto-captions repeat the previous line in every cue (roll-up
+ * style), those repeats are dropped.
+ * @param {string} content - File content
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function parseSubtitles(content) {
+    const cues = [];
+    let previousLine = null;
+
+    content.replace(/\r/g, '').split(/\n{2,}/).forEach(block => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) return;
+
+        const [from, to] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+        const start = parseTimestamp(from);
+        const end = parseTimestamp(to);
+        if (Number.isNaN(start) || Number.isNaN(end) || end <= start) return;
+
+        const textLines = lines
+            .slice(timingIndex + 1)
+            .map(cleanText)
+            .filter(line => line && line !== previousLine);
+
+        if (textLines.length === 0) return;
+
+        previousLine = textLines[textLines.length - 1];
+        cues.push({ start, end, text: textLines.join('\n') });
+    });
+
+    return cues;
+}
+
+/**
+ * Map cues onto the timeline of a trimmed clip.
+ * Segments are laid out back to back (like the concat output), cues
+ * crossing a cut point are clipped to it.
+ * @param {Array} cues - Cues in source video time
+ * @param {Array<{start: string, duration: number}>} segments - Segments in the output file
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function shiftCues(cues, segments) {
+    const shifted = [];
+    let offset = 0;
+
+    segments.forEach(segment => {
+        const segmentStart = parseTime(segment.start);
+        const segmentEnd = segmentStart + segment.duration;
+
+        cues
+            .filter(cue => cue.end > segmentStart && cue.start < segmentEnd)
+            .forEach(cue => shifted.push({
+                start: Math.max(cue.start, segmentStart) - segmentStart + offset,
+                end: Math.min(cue.end, segmentEnd) - segmentStart + offset,
+                text: cue.text
+            }));
+
+        offset += segment.duration;
+    });
+
+    return shifted;
+}
+
+/**
+ * Write cues as SRT
+ */
+function toSrt(cues) {
+    return cues
+        .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}`)
+        .join('\n\n') + '\n';
+}
+
+/**
+ * Write cues as WebVTT
+ */
+function toVtt(cues) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    return 'WEBVTT\n\n' + cues
+        .map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${escape(cue.text)}`)
+        .join('\n\n') + '\n';
+}
+
+/**
+ * Subtitle languages from yt-dlp's --dump-json output
+ * @returns {{manual: string[], auto: string[]}}
+ */
+function listLanguages(info) {
+    return {
+        manual: Object.keys(info.subtitles || {}).filter(lang => lang !== 'live_chat'),
+        auto: Object.keys(info.automatic_captions || {})
+    };
+}
+
+module.exports = {
+    parseSubtitles,
+    shiftCues,
+    toSrt,
+    toVtt,
+    listLanguages
+};
@@ -0,0 +1,201 @@
+/**
+ * Task Store Module
+ * Keeps task status, inputs, timings and results in a JSON file so task
+ * history survives server restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+const FINAL_STATUSES = ['complete', 'error', 'cancelled'];
+
+const storeFile = path.resolve(__dirname, '../..', config.tasks.storeFile);
+const tasks = new Map();
+let saveTimer = null;
+
+/**
+ * Load tasks from disk. Tasks that were still running when the server
+ * stopped can never finish, so they are marked as interrupted.
+ */
+function load() {
+    try {
+        if (!fs.existsSync(storeFile)) return;
+
+        const records = JSON.parse(fs.readFileSync(storeFile, 'utf-8'));
+        records.forEach(record => {
+            if (!FINAL_STATUSES.includes(record.status)) {
+                record.status = 'error';
+                record.error = 'Server dimulai ulang sebelum task selesai';
+                record.timings.finishedAt = new Date().toISOString();
+            }
+            tasks.set(record.id, record);
+        });
+
+        logger.info('Task store loaded', { count: tasks.size, file: storeFile });
+    } catch (error) {
+        logger.error('Could not load task store', { error: error.message, file: storeFile });
+    }
+}
+
+/**
+ * Write all tasks to disk (atomic: temp file + rename)
+ */
+function saveNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    try {
+        fs.mkdirSync(path.dirname(storeFile), { recursive: true });
+        const tmpFile = `${storeFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify([...tasks.values()], null, 2));
+        fs.renameSync(tmpFile, storeFile);
+    } catch (error) {
+        logger.error('Could not save task store', { error: error.message, file: storeFile });
+    }
+}
+
+/**
+ * Schedule a write. Progress updates arrive many times per second,
+ * so writes are batched.
+ */
+function save() {
+    if (!saveTimer) {
+        saveTimer = setTimeout(saveNow, 1000);
+    }
+}
+
+/**
+ * Drop the oldest finished tasks when the store grows past its limit
+ */
+function prune() {
+    const overflow = tasks.size - config.tasks.maxEntries;
+    if (overflow <= 0) return;
+
+    [...tasks.values()]
+        .filter(task => FINAL_STATUSES.includes(task.status))
+        .sort((a, b) => a.timings.createdAt.localeCompare(b.timings.createdAt))
+        .slice(0, overflow)
+        .forEach(task => tasks.delete(task.id));
+}
+
+/**
+ * Register a new task
+ * @param {string} taskId
+ * @param {Object} inputs - Validated trim request data
+ */
+function create(taskId, inputs) {
+    const record = {
+        id: taskId,
+        status: 'pending',
+        progress: 0,
+        message: '',
+        inputs,
+        timings: {
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        },
+        output: null,
+        error: null
+    };
+
+    tasks.set(taskId, record);
+    prune();
+    save();
+    return record;
+}
+
+/**
+ * Apply a progress event to a task record
+ * @param {string} taskId
+ * @param {Object} data - Same payload that is sent over SSE
+ */
+function applyProgress(taskId, data) {
+    const record = tasks.get(taskId);
+    if (!record) return;
+
+    record.status = data.status;
+    record.progress = data.progress;
+    record.message = data.message || '';
+
+    if (!record.timings.startedAt && !['pending', 'queued'].includes(data.status)) {
+        record.timings.startedAt = new Date().toISOString();
+    }
+
+    if (FINAL_STATUSES.includes(data.status)) {
+        record.timings.finishedAt = new Date().toISOString();
+    }
+
+    if (data.status === 'complete' && data.filename) {
+        const toOutput = filename => ({
+            filename,
+            downloadUrl: `/download/${encodeURIComponent(filename)}`
+        });
+
+        record.output = {
+            ...toOutput(data.filename),
+            files: (data.files || [data.filename]).map(toOutput)
+        };
+    }
+
+    // Whether the source came from the source cache (hit, miss, shared)
+    if (data.cache) {
+        record.cache = data.cache;
+    }
+
+    if (data.status === 'error') {
+        record.error = data.message || 'Unknown error';
+    }
+
+    // Final states are written right away so they are not lost on a crash
+    if (FINAL_STATUSES.includes(data.status)) {
+        saveNow();
+    } else {
+        save();
+    }
+}
+
+/**
+ * Get a single task
+ */
+function get(taskId) {
+    return tasks.get(taskId) || null;
+}
+
+/**
+ * List tasks, newest first
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - Only tasks with this status
+ * @param {number} [filter.limit] - Max number of tasks returned
+ */
+function list({ status, limit } = {}) {
+    let result = [...tasks.values()]
+        .sort((a, b) => b.timings.createdAt.localeCompare(a.timings.createdAt));
+
+    if (status) {
+        result = result.filter(task => task.status === status);
+    }
+
+    return limit ? result.slice(0, limit) : result;
+}
+
+/**
+ * Check whether a task reached a final state
+ */
+function isFinished(record) {
+    return FINAL_STATUSES.includes(record.status);
+}
+
+load();
+
+module.exports = {
+    FINAL_STATUSES,
+    create,
+    applyProgress,
+    get,
+    list,
+    isFinished,
+    saveNow
+};
@@ -0,0 +1,129 @@
+/**
+ * Time Module
+ * The one parser for time expressions, shared by the server, the CLI and the
+ * browser (served as /lib/time.js, global `TrimTime`).
+ *
+ * Accepted inputs:
+ *   "01:02:03.500", "2:03", "2:03.5"   clock (HH:MM:SS.mmm / MM:SS)
+ *   "123", "123.5", 123.5               seconds
+ *   "1h2m3.5s", "2m 30s", "45s"         units
+ * End times may also be relative to the start:
+ *   "+30s", "+1:00", "duration 45"
+ *
+ * Values are kept in seconds rounded to milliseconds; ffmpeg always gets
+ * toFfmpegTime() of that value.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TrimTime = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MAX_LENGTH = 20;
+
+    const CLOCK_PATTERN = /^(\d+(?::\d{2}){1,2})(\.\d+)?$/;
+    const SECONDS_PATTERN = /^\d+(?:\.\d+)?$/;
+    const UNITS_PATTERN = /^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+(?:\.\d+)?)\s*m(?:in)?)?\s*(?:(\d+(?:\.\d+)?)\s*s(?:ec)?)?$/;
+    const RELATIVE_PATTERN = /^(?:\+|(?:duration|durasi|dur)\s*:?\s*)(.+)$/;
+
+    /**
+     * Round to whole milliseconds, so sums and differences stay exact
+     */
+    function roundMs(seconds) {
+        return Math.round(seconds * 1000) / 1000;
+    }
+
+    /**
+     * Parse an absolute time
+     * @param {string|number} value
+     * @returns {number|null} Seconds, null when the value is not a time
+     */
+    function parseTime(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) && value >= 0 ? roundMs(value) : null;
+        }
+
+        if (typeof value !== 'string') return null;
+
+        const text = value.trim().toLowerCase();
+        if (!text || text.length > MAX_LENGTH) return null;
+
+        if (SECONDS_PATTERN.test(text)) {
+            return roundMs(parseFloat(text));
+        }
+
+        const clock = CLOCK_PATTERN.exec(text);
+        if (clock) {
+            const parts = clock[1].split(':').map(Number);
+            // Only the leading unit may exceed 59 ("90:00" is fine, "1:75" is not)
+            if (parts.slice(1).some(part => part >= 60)) return null;
+
+            const whole = parts.reduce((total, part) => total * 60 + part, 0);
+            return roundMs(whole + (clock[2] ? parseFloat(clock[2]) : 0));
+        }
+
+        const units = UNITS_PATTERN.exec(text);
+        if (units && (units[1] || units[2] || units[3])) {
+            const [hours, minutes, seconds] = units.slice(1).map(unit => parseFloat(unit || 0));
+            return roundMs(hours * 3600 + minutes * 60 + seconds);
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether an end time is given relative to the start
+     */
+    function isRelative(value) {
+        return typeof value === 'string' && RELATIVE_PATTERN.test(value.trim().toLowerCase());
+    }
+
+    /**
+     * Parse an end time, absolute or relative to `start`
+     * @param {string|number} value - "00:01:40", "+20s", "duration 45", ...
+     * @param {number|null} start - Start in seconds (relative ends need it)
+     * @returns {number|null} Seconds
+     */
+    function parseEnd(value, start) {
+        if (!isRelative(value)) return parseTime(value);
+
+        const length = parseTime(RELATIVE_PATTERN.exec(value.trim().toLowerCase())[1]);
+        if (length === null || typeof start !== 'number') return null;
+
+        return roundMs(start + length);
+    }
+
+    /**
+     * Seconds as "HH:MM:SS", with a fraction only when there is one
+     * @param {number} seconds
+     * @param {number} [decimals=3] - Fraction digits (3 = milliseconds)
+     */
+    function formatTime(seconds, decimals = 3) {
+        const scale = 10 ** decimals;
+        const units = Math.round(seconds * scale);
+        const whole = Math.floor(units / scale);
+        const pad = value => String(value).padStart(2, '0');
+
+        const hours = Math.floor(whole / 3600);
+        const minutes = Math.floor((whole % 3600) / 60);
+        const fraction = units % scale ? `.${String(units % scale).padStart(decimals, '0')}` : '';
+
+        return `${pad(hours)}:${pad(minutes)}:${pad(whole % 60)}${fraction}`;
+    }
+
+    /**
+     * Canonical value for ffmpeg -ss / -t: seconds with millisecond precision
+     */
+    function toFfmpegTime(seconds) {
+        return roundMs(seconds).toFixed(3);
+    }
+
+    return {
+        parseTime,
+        parseEnd,
+        isRelative,
+        formatTime,
+        toFfmpegTime
+    };
+});
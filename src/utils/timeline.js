@@ -0,0 +1,233 @@
+/**
+ * Timeline Module
+ * Filmstrip sprite, contact sheet and audio waveform peaks for a video,
+ * cached on disk per video ID
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { spawn } = require('child_process');
+const execFile = util.promisify(require('child_process').execFile);
+const config = require('../config');
+const logger = require('./logger');
+const JobQueue = require('./jobQueue');
+const { extractFrame } = require('./mediaProbe');
+
+const cacheRoot = path.resolve(__dirname, '../..', config.timeline.cacheDir);
+
+// Samples per second decoded for the waveform (enough for peaks, cheap to scan)
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+// Builds in flight, so parallel requests for one video share the work
+const pending = new Map();
+
+// A build decodes the whole audio track and grabs every thumbnail, only a few run at once
+const buildQueue = new JobQueue({ concurrency: config.timeline.concurrency });
+
+/**
+ * Cache directory of a video
+ */
+function getCacheDir(videoId) {
+    return path.join(cacheRoot, videoId);
+}
+
+/**
+ * Path of a cached timeline file (filmstrip.jpg, contact-sheet.jpg)
+ */
+function getFilePath(videoId, name) {
+    return path.join(getCacheDir(videoId), name);
+}
+
+/**
+ * Grab evenly spaced frames and tile them into a one-row filmstrip and a
+ * contact sheet grid
+ * @returns {Promise<number>} Number of thumbnails
+ */
+async function generateFilmstrip({ input, duration, dir }) {
+    const { thumbnails, thumbnailWidth, thumbnailHeight, contactSheetColumns } = config.timeline;
+    const framesDir = path.join(dir, 'frames');
+    fs.mkdirSync(framesDir, { recursive: true });
+
+    try {
+        let lastFrame = null;
+
+        for (let index = 0; index < thumbnails; index++) {
+            // Middle of each slot, so the last frame is never past the end
+            const time = (index + 0.5) * duration / thumbnails;
+
+            try {
+                lastFrame = await extractFrame(input, time, thumbnailWidth);
+            } catch (error) {
+                logger.debug('Filmstrip frame failed, reusing previous', { time, error: error.message });
+                if (!lastFrame) throw error;
+            }
+
+            fs.writeFileSync(path.join(framesDir, `frame_${String(index).padStart(3, '0')}.jpg`), lastFrame);
+        }
+
+        // Letterbox every frame to the same tile size
+        const fit = `scale=${thumbnailWidth}:${thumbnailHeight}:force_original_aspect_ratio=decrease,` +
+            `pad=${thumbnailWidth}:${thumbnailHeight}:(ow-iw)/2:(oh-ih)/2`;
+        const rows = Math.ceil(thumbnails / contactSheetColumns);
+        const tile = (layout, output) => execFile('ffmpeg', [
+            '-v', 'error',
+            '-y',
+            '-i', path.join(framesDir, 'frame_%03d.jpg'),
+            '-vf', `${fit},tile=${layout}`,
+            '-frames:v', '1',
+            '-q:v', '3',
+            output
+        ], { timeout: 60000 });
+
+        await tile(`${thumbnails}x1`, path.join(dir, 'filmstrip.jpg'));
+        await tile(`${contactSheetColumns}x${rows}:padding=4:margin=4`, path.join(dir, 'contact-sheet.jpg'));
+
+        return thumbnails;
+    } finally {
+        fs.rmSync(framesDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Decode the audio track and reduce it to peak amplitudes (0-1)
+ * @returns {Promise<number[]>}
+ */
+function generateWaveform({ input, duration }) {
+    const peakCount = config.timeline.waveformPeaks;
+    const samplesPerPeak = Math.max(1, (duration * WAVEFORM_SAMPLE_RATE) / peakCount);
+
+    return new Promise((resolve, reject) => {
+        const peaks = new Array(peakCount).fill(0);
+        let sampleIndex = 0;
+        let leftover = null;
+
+        const ffProcess = spawn('ffmpeg', [
+            '-v', 'error',
+            '-i', input,
+            '-vn',
+            '-ac', '1',
+            '-ar', WAVEFORM_SAMPLE_RATE.toString(),
+            '-f', 's16le',
+            'pipe:1'
+        ]);
+
+        const timer = setTimeout(() => ffProcess.kill('SIGKILL'), config.timeline.timeoutMs);
+
+        ffProcess.stdout.on('data', (chunk) => {
+            // 16-bit samples can be split across chunks
+            const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+            const usable = data.length - (data.length % 2);
+            leftover = usable < data.length ? data.subarray(usable) : null;
+
+            for (let offset = 0; offset < usable; offset += 2) {
+                const bucket = Math.min(peakCount - 1, Math.floor(sampleIndex / samplesPerPeak));
+                const amplitude = Math.abs(data.readInt16LE(offset)) / 32768;
+                if (amplitude > peaks[bucket]) peaks[bucket] = amplitude;
+                sampleIndex++;
+            }
+        });
+
+        ffProcess.stderr.resume();
+
+        ffProcess.on('close', (code) => {
+            clearTimeout(timer);
+
+            if (code !== 0) {
+                return reject(new Error(`ffmpeg exited with code ${code}`));
+            }
+
+            // Scale to the loudest peak so quiet videos are still readable
+            const max = Math.max(...peaks) || 1;
+            resolve(peaks.map(peak => Math.round((peak / max) * 1000) / 1000));
+        });
+
+        ffProcess.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+/**
+ * Get the timeline of a video, building it on the first request
+ * @param {string} videoId
+ * @param {Function} resolveSources - async () => { video, audio, duration }
+ * @returns {Promise<Object>} { id, duration, filmstrip, waveform }
+ */
+function getTimeline(videoId, resolveSources) {
+    const dir = getCacheDir(videoId);
+    const metaFile = path.join(dir, 'timeline.json');
+
+    if (fs.existsSync(metaFile)) {
+        return Promise.resolve(JSON.parse(fs.readFileSync(metaFile, 'utf-8')));
+    }
+
+    if (pending.has(videoId)) {
+        return pending.get(videoId);
+    }
+
+    const run = async () => {
+        fs.mkdirSync(dir, { recursive: true });
+
+        try {
+            const { video, audio, duration } = await resolveSources();
+
+            logger.info('Building timeline', { videoId, duration });
+
+            const count = await generateFilmstrip({ input: video, duration, dir });
+            const peaks = await generateWaveform({ input: audio, duration });
+
+            const timeline = {
+                id: videoId,
+                duration,
+                filmstrip: {
+                    url: `/timeline/${videoId}/filmstrip.jpg`,
+                    contactSheetUrl: `/timeline/${videoId}/contact-sheet.jpg`,
+                    count,
+                    tileWidth: config.timeline.thumbnailWidth,
+                    tileHeight: config.timeline.thumbnailHeight
+                },
+                waveform: { peaks }
+            };
+
+            fs.writeFileSync(metaFile, JSON.stringify(timeline));
+            logger.info('Timeline cached', { videoId });
+            return timeline;
+        } catch (error) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            throw error;
+        }
+    };
+
+    const build = new Promise((resolve, reject) => {
+        buildQueue.enqueue(`timeline_${videoId}`, () => run().then(resolve, reject));
+    }).finally(() => pending.delete(videoId));
+
+    pending.set(videoId, build);
+    return build;
+}
+
+/**
+ * Remove cached timelines older than the TTL
+ */
+function cleanupExpired() {
+    if (!fs.existsSync(cacheRoot)) return;
+
+    const now = Date.now();
+    fs.readdirSync(cacheRoot).forEach(videoId => {
+        if (pending.has(videoId)) return;
+
+        const dir = getCacheDir(videoId);
+        if (now - fs.statSync(dir).mtimeMs > config.timeline.cacheTtlMs) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            logger.info('Cleaned up cached timeline', { videoId });
+        }
+    });
+}
+
+module.exports = {
+    getTimeline,
+    getFilePath,
+    cleanupExpired
+};
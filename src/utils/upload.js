@@ -0,0 +1,118 @@
+/**
+ * Upload Module
+ * Local media files sent to POST /upload. The file is streamed to disk by
+ * multer (never held in memory), capped at MAX_FILE_SIZE_MB, and checked with
+ * ffprobe before it enters the trim pipeline.
+ */
+
+const path = require('path');
+const multer = require('multer');
+const config = require('../config');
+const { getVideoCodec, getAudioCodec, getDuration } = require('./mediaProbe');
+const { parseTime, formatTime } = require('./time');
+const { getFormat } = require('./formats');
+
+// Extensions accepted as upload, ffprobe decides whether the content is really media
+const UPLOAD_EXTENSIONS = [
+    '.mp4', '.m4v', '.mkv', '.webm', '.mov', '.avi', '.ts',
+    '.mp3', '.m4a', '.aac', '.opus', '.ogg', '.wav', '.flac'
+];
+
+// Messages for multer's limit errors
+const LIMIT_MESSAGES = {
+    LIMIT_FILE_SIZE: () => `Ukuran file maksimal ${config.video.maxFileSizeMB} MB`,
+    LIMIT_FILE_COUNT: () => 'Hanya satu file per upload',
+    LIMIT_UNEXPECTED_FILE: () => 'File harus dikirim di field "file"'
+};
+
+/**
+ * Lower-case extension of an uploaded file name, null when not accepted
+ */
+function getUploadExtension(originalName) {
+    const extension = path.extname(String(originalName || '')).toLowerCase();
+    return UPLOAD_EXTENSIONS.includes(extension) ? extension : null;
+}
+
+/**
+ * Multer middleware for a single file in the field "file"
+ * The file is written as `temp_<req.taskId>_upload.<ext>`, so the task's
+ * temp file cleanup removes it together with everything else
+ * @param {string} directory - Target directory (where the task temp files live)
+ * @returns {Function} Express middleware, unsupported files leave req.file unset
+ */
+function createUploadMiddleware(directory) {
+    return multer({
+        storage: multer.diskStorage({
+            destination: directory,
+            filename: (req, file, callback) => {
+                callback(null, `temp_${req.taskId}_upload${getUploadExtension(file.originalname)}`);
+            }
+        }),
+        limits: {
+            fileSize: config.video.maxFileSizeMB * 1024 * 1024,
+            files: 1,
+            fields: 10,
+            fieldSize: 64 * 1024
+        },
+        fileFilter: (req, file, callback) => callback(null, Boolean(getUploadExtension(file.originalname)))
+    }).single('file');
+}
+
+/**
+ * User-facing message for an upload error
+ * @returns {{status: number, message: string}}
+ */
+function getUploadError(error) {
+    if (error instanceof multer.MulterError) {
+        const message = LIMIT_MESSAGES[error.code];
+        return {
+            status: error.code === 'LIMIT_FILE_SIZE' ? 413 : 400,
+            message: message ? message() : 'Upload tidak valid'
+        };
+    }
+
+    return { status: 500, message: 'Upload gagal' };
+}
+
+/**
+ * Check that an uploaded file can deliver the requested clip
+ * @param {string} file - Path of the uploaded file
+ * @param {Object} data - Validated trim data ({ format, segments })
+ * @returns {Promise<string[]>} Errors, empty when the file is usable
+ */
+async function inspectUpload(file, { format, segments }) {
+    const [videoCodec, audioCodec, duration] = await Promise.all([
+        getVideoCodec(file),
+        getAudioCodec(file),
+        getDuration(file)
+    ]);
+
+    if (!videoCodec && !audioCodec) {
+        return ['File bukan video atau audio yang bisa dibaca'];
+    }
+
+    const errors = [];
+    const type = getFormat(format).type;
+
+    if (type !== 'audio' && !videoCodec) {
+        errors.push('File tidak memiliki gambar, pilih format audio');
+    }
+    if (type === 'audio' && !audioCodec) {
+        errors.push('File tidak memiliki audio');
+    }
+
+    // Duration is missing for some streams (e.g. raw .ts), ffmpeg stops at the end then
+    if (duration && segments.some(segment => parseTime(segment.end) > duration + 0.5)) {
+        errors.push(`Waktu selesai melebihi durasi file (${formatTime(duration, 0)})`);
+    }
+
+    return errors;
+}
+
+module.exports = {
+    UPLOAD_EXTENSIONS,
+    getUploadExtension,
+    createUploadMiddleware,
+    getUploadError,
+    inspectUpload
+};
@@ -4,59 +4,46 @@
  */
 
 const config = require('../config');
+const { getFormat, isAnimationFormat, isSampleRateSupported } = require('./formats');
+const { parseTime, parseEnd, isRelative, formatTime } = require('./time');
+const { sanitizeMediaUrl } = require('./providers');
 
 /**
- * Sanitize and validate YouTube URL
- * Protects against command injection
+ * Start / end seconds from a timestamped link: t=, start= and end= in the
+ * query or the #t= fragment (youtu.be/ID?t=90, watch?v=ID&t=1m30s)
+ * @returns {{start: number|null, end: number|null}}
  */
-function sanitizeYouTubeUrl(url) {
-    if (!url || typeof url !== 'string') {
-        return null;
+function getUrlRange(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url).trim());
+    } catch (error) {
+        return { start: null, end: null };
     }
 
-    // Length check - URLs shouldn't be too long
-    if (url.length > 200) {
-        return null;
-    }
-
-    // Remove any shell-dangerous characters
-    const sanitized = url.trim();
-
-    // Strict YouTube URL pattern
-    const youtubePatterns = [
-        /^https?:\/\/(www\.)?youtube\.com\/watch\?v=[\w-]{11}(&.*)?$/,
-        /^https?:\/\/youtu\.be\/[\w-]{11}(\?.*)?$/,
-        /^https?:\/\/(www\.)?youtube\.com\/shorts\/[\w-]{11}(\?.*)?$/,
-        /^https?:\/\/(www\.)?youtube\.com\/embed\/[\w-]{11}(\?.*)?$/
-    ];
+    const fragment = new URLSearchParams(parsed.hash.slice(1));
+    const param = name => parsed.searchParams.get(name) ?? fragment.get(name);
 
-    const isValid = youtubePatterns.some(pattern => pattern.test(sanitized));
+    const start = parseTime(param('t') ?? param('start'));
+    const end = parseTime(param('end'));
 
-    if (!isValid) {
-        return null;
-    }
-
-    // Extra safety: ensure no shell metacharacters
-    if (/[;&|`$(){}[\]<>\\]/.test(sanitized)) {
-        return null;
-    }
-
-    return sanitized;
+    return { start, end: end !== null && end > (start || 0) ? end : null };
 }
 
 /**
- * Extract video ID from YouTube URL
+ * Fill a trim request's missing start / end from a link range
+ * Requests with a `segments` list are left alone
+ * @param {Object} body - Trim request
+ * @param {{start: number|null, end: number|null}} range - Seconds
  */
-function extractVideoId(url) {
-    const patterns = [
-        /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/shorts\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/
-    ];
-
-    for (const pattern of patterns) {
-        const match = url.match(pattern);
-        if (match) return match[1];
-    }
-    return null;
+function applyLinkRange(body, { start, end }) {
+    if (body.segments !== undefined) return body;
+
+    return {
+        ...body,
+        start: body.start || (start !== null ? formatTime(start) : body.start),
+        end: body.end || (end !== null ? formatTime(end) : body.end)
+    };
 }
 
 /**
@@ -77,109 +64,268 @@ function sanitizeFilename(filename) {
 }
 
 /**
- * Validate time format (HH:mm:ss or mm:ss or HH:mm:ss.ms)
+ * Validate format selection
  */
-function validateTimeFormat(time) {
-    if (!time || typeof time !== 'string') return null;
+function validateFormat(format) {
+    return config.video.supportedFormats.includes(format) ? format : 'mp4';
+}
 
-    // Length check
-    if (time.length > 20) return null;
+/**
+ * Validate quality selection
+ */
+function validateQuality(quality) {
+    return config.video.supportedQualities.includes(quality) ? quality : '720';
+}
 
-    const patterns = [
-        /^\d{1,2}:\d{2}:\d{2}(\.\d+)?$/,  // HH:mm:ss or HH:mm:ss.ms
-        /^\d{1,2}:\d{2}(\.\d+)?$/          // mm:ss or mm:ss.ms
-    ];
+/**
+ * Validate audio bitrate (kbps)
+ */
+function validateAudioBitrate(bitrate) {
+    const value = String(bitrate);
+    return config.video.audioBitrates.includes(value) ? value : config.video.defaultAudioBitrate;
+}
 
-    if (patterns.some(p => p.test(time))) {
-        return time;
-    }
-    return null;
+/**
+ * Validate GIF / WebP options, clamped to the configured limits
+ * @returns {{fps: number, width: number, loop: boolean}}
+ */
+function validateAnimationOptions(body) {
+    const { defaultFps, maxFps, defaultWidth, maxWidth } = config.video.animation;
+    const fps = parseInt(body.fps);
+    const width = parseInt(body.width);
+
+    return {
+        fps: fps > 0 ? Math.min(fps, maxFps) : defaultFps,
+        width: width >= 16 ? Math.min(width, maxWidth) : defaultWidth,
+        loop: body.loop !== false && body.loop !== 'false'
+    };
 }
 
 /**
- * Convert time string to seconds
+ * Validate audio post-processing options
+ * @returns {{normalize: boolean, fadeIn: number, fadeOut: number, mono: boolean, sampleRate: string|null}|null}
+ *          null when no option is set
  */
-function timeToSeconds(timeStr) {
-    const parts = timeStr.split(':').map(Number);
-    if (parts.length === 3) {
-        return parts[0] * 3600 + parts[1] * 60 + parts[2];
-    } else if (parts.length === 2) {
-        return parts[0] * 60 + parts[1];
+function validateAudioOptions(body) {
+    const isEnabled = value => value === true || value === 'true';
+    const toFade = value => {
+        const seconds = parseFloat(value);
+        return seconds > 0 ? Math.min(seconds, config.audio.maxFadeSeconds) : 0;
+    };
+
+    const audio = {
+        normalize: isEnabled(body.normalize),
+        fadeIn: toFade(body.fadeIn),
+        fadeOut: toFade(body.fadeOut),
+        mono: isEnabled(body.mono),
+        sampleRate: config.audio.sampleRates.includes(String(body.sampleRate)) ? String(body.sampleRate) : null
+    };
+
+    const isSet = audio.normalize || audio.fadeIn > 0 || audio.fadeOut > 0 || audio.mono || audio.sampleRate;
+    return isSet ? audio : null;
+}
+
+/**
+ * Validate subtitle options
+ * @returns {{errors: string[], subtitles: {lang: string, mode: string}|null}}
+ */
+function validateSubtitleOptions(body, format) {
+    if (!body.subtitleLang && !body.subtitleMode) {
+        return { errors: [], subtitles: null };
     }
-    return 0;
+
+    const errors = [];
+    const lang = typeof body.subtitleLang === 'string' ? body.subtitleLang.trim() : '';
+    const mode = config.video.subtitleModes.includes(body.subtitleMode) ? body.subtitleMode : null;
+    const spec = getFormat(format);
+
+    // Language codes like "en", "pt-BR", "zh-Hans" (also keeps the yt-dlp command safe)
+    if (!/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8}){0,2}$/.test(lang)) {
+        errors.push('Bahasa subtitle tidak valid');
+    }
+
+    if (!mode) {
+        errors.push(`Mode subtitle harus salah satu dari: ${config.video.subtitleModes.join(', ')}`);
+    } else if (mode === 'soft' && !spec.subtitleCodec) {
+        errors.push('Subtitle soft hanya didukung untuk MP4, WebM, MKV dan MOV');
+    } else if (mode === 'burn' && spec.type !== 'video') {
+        errors.push('Burn-in subtitle hanya didukung untuk format video');
+    }
+
+    return { errors, subtitles: errors.length === 0 ? { lang, mode } : null };
 }
 
 /**
- * Validate format selection
+ * Validate cut precision
  */
-function validateFormat(format) {
-    return config.video.supportedFormats.includes(format) ? format : 'mp4';
+function validatePrecision(precision) {
+    return config.video.precisionModes.includes(precision) ? precision : 'fast';
 }
 
 /**
- * Validate quality selection
+ * Validate output mode for multi-segment requests
  */
-function validateQuality(quality) {
-    return config.video.supportedQualities.includes(quality) ? quality : '720';
+function validateOutputMode(mode) {
+    return config.video.outputModes.includes(mode) ? mode : 'concat';
 }
 
 /**
- * Validate complete trim request
+ * Validate a list of { start, end } segments
+ * Single-segment requests keep the original error messages,
+ * multi-segment errors are prefixed with the segment number.
+ * Times are normalized to "HH:MM:SS.mmm", the end may be relative ("+20s")
  */
-function validateTrimRequest(body) {
+function validateSegments(rawSegments) {
     const errors = [];
+    const segments = [];
 
-    const url = sanitizeYouTubeUrl(body.url);
-    if (!url) {
-        errors.push('URL YouTube tidak valid');
+    if (!Array.isArray(rawSegments) || rawSegments.length === 0) {
+        return { errors: ['Minimal satu segmen waktu diperlukan'], segments, totalDuration: 0 };
     }
 
-    const start = validateTimeFormat(body.start);
-    const end = validateTimeFormat(body.end);
+    if (rawSegments.length > config.video.maxSegments) {
+        return { errors: [`Maksimal ${config.video.maxSegments} segmen per request`], segments, totalDuration: 0 };
+    }
+
+    rawSegments.forEach((segment, index) => {
+        const prefix = rawSegments.length > 1 ? `Segmen ${index + 1}: ` : '';
+        const start = parseTime(segment && segment.start);
+        const end = parseEnd(segment && segment.end, start);
+
+        if (start === null) {
+            errors.push(`${prefix}Format waktu mulai tidak valid`);
+        }
+
+        // A relative end cannot be checked without a valid start
+        if (end === null && (start !== null || !isRelative(segment && segment.end))) {
+            errors.push(`${prefix}Format waktu selesai tidak valid`);
+        }
+
+        if (start !== null && end !== null) {
+            const duration = Math.round((end - start) * 1000) / 1000;
+
+            if (duration <= 0) {
+                errors.push(`${prefix}Waktu selesai harus lebih besar dari waktu mulai`);
+            } else {
+                segments.push({ start: formatTime(start), end: formatTime(end), duration });
+            }
+        }
+    });
+
+    const totalDuration = segments.reduce((sum, segment) => sum + segment.duration, 0);
 
-    if (!start) {
-        errors.push('Format waktu mulai tidak valid');
+    if (totalDuration > config.video.maxDurationSeconds) {
+        errors.push(rawSegments.length > 1
+            ? `Total durasi semua segmen maksimal ${config.video.maxDurationSeconds / 60} menit`
+            : `Durasi maksimal adalah ${config.video.maxDurationSeconds / 60} menit`);
     }
 
-    if (!end) {
-        errors.push('Format waktu selesai tidak valid');
+    return { errors, segments, totalDuration };
+}
+
+/**
+ * Validate complete trim request
+ * Accepts either `segments: [{ start, end }]` or a single `start`/`end` pair,
+ * missing times are taken from the URL's t= / start= / end= parameters
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.local=false] - Source is an uploaded file: no URL,
+ *        and nothing that needs the site's metadata (chapters, subtitles)
+ */
+function validateTrimRequest(input, { local = false } = {}) {
+    const errors = [];
+
+    // Timestamped links (&t=90) pre-fill the range
+    const body = local ? input : applyLinkRange(input, getUrlRange(input.url));
+
+    const url = local ? null : sanitizeMediaUrl(body.url);
+    if (!local && !url) {
+        errors.push('URL tidak valid atau situs tidak didukung');
     }
 
-    if (start && end) {
-        const startSec = timeToSeconds(start);
-        const endSec = timeToSeconds(end);
-        const duration = endSec - startSec;
+    const rawSegments = body.segments !== undefined
+        ? body.segments
+        : [{ start: body.start, end: body.end }];
+
+    const { errors: segmentErrors, segments, totalDuration } = validateSegments(rawSegments);
+    errors.push(...segmentErrors);
+
+    const format = validateFormat(body.format);
+    const output = validateOutputMode(body.output);
+    const isAnimation = isAnimationFormat(format);
 
-        if (duration <= 0) {
-            errors.push('Waktu selesai harus lebih besar dari waktu mulai');
+    if (isAnimation) {
+        const maxSeconds = config.video.animation.maxDurationSeconds;
+        if (totalDuration > maxSeconds) {
+            errors.push(`Durasi maksimal GIF/WebP adalah ${maxSeconds} detik`);
         }
+        if (segments.length > 1 && output === 'concat') {
+            errors.push('GIF/WebP dengan beberapa segmen hanya bisa dibuat sebagai file terpisah');
+        }
+    }
+
+    // Animations have no audio track
+    const audio = isAnimation ? null : validateAudioOptions(body);
+
+    // Opus (opus, webm) only encodes at a few rates, ffmpeg would fail after the download
+    if (audio && audio.sampleRate && !isSampleRateSupported(format, audio.sampleRate)) {
+        errors.push(`Sample rate ${audio.sampleRate} Hz tidak didukung format ${format.toUpperCase()}, gunakan 48000 Hz`);
+    }
 
-        if (duration > config.video.maxDurationSeconds) {
-            errors.push(`Durasi maksimal adalah ${config.video.maxDurationSeconds / 60} menit`);
+    if (audio && segments.length > 0) {
+        // Fades apply per output file: the joined clip when concat, every segment otherwise
+        const shortest = output !== 'concat'
+            ? Math.min(...segments.map(segment => segment.duration))
+            : totalDuration;
+
+        if (audio.fadeIn + audio.fadeOut > shortest) {
+            errors.push('Total durasi fade in dan fade out melebihi durasi klip');
         }
     }
 
+    const { errors: subtitleErrors, subtitles } = validateSubtitleOptions(body, format);
+    errors.push(...subtitleErrors);
+
+    // Chapters and subtitles are read from the video page
+    if (local && output === 'chapters') {
+        errors.push('Mode chapter hanya tersedia untuk video dari link');
+    }
+    if (local && subtitles) {
+        errors.push('Subtitle hanya tersedia untuk video dari link');
+    }
+
     return {
         isValid: errors.length === 0,
         errors,
         data: {
             url,
-            start,
-            end,
+            segments,
+            duration: totalDuration,
+            output,
             filename: sanitizeFilename(body.filename),
-            format: validateFormat(body.format),
-            quality: validateQuality(body.quality)
+            format,
+            quality: validateQuality(body.quality),
+            precision: validatePrecision(body.precision),
+            audioBitrate: validateAudioBitrate(body.audioBitrate),
+            animation: isAnimation ? validateAnimationOptions(body) : null,
+            audio,
+            subtitles
         }
     };
 }
 
 module.exports = {
-    sanitizeYouTubeUrl,
-    extractVideoId,
+    getUrlRange,
+    applyLinkRange,
     sanitizeFilename,
-    validateTimeFormat,
-    timeToSeconds,
     validateFormat,
     validateQuality,
+    validateAudioBitrate,
+    validateAnimationOptions,
+    validateAudioOptions,
+    validateSubtitleOptions,
+    validatePrecision,
+    validateOutputMode,
+    validateSegments,
     validateTrimRequest
 };
@@ -0,0 +1,70 @@
+/**
+ * Video Info Module
+ * Video metadata from yt-dlp, shared by the server and the CLI
+ */
+
+const util = require('util');
+const execFile = util.promisify(require('child_process').execFile);
+const { applyLinkRange } = require('./validators');
+const { sanitizeMediaUrl, isClipUrl } = require('./providers');
+
+/**
+ * Metadata of a video (yt-dlp --dump-json)
+ * @param {string} url - Sanitized video URL
+ * @returns {Promise<Object>}
+ */
+async function getVideoInfo(url) {
+    const { stdout } = await execFile('yt-dlp', ['--dump-json', '--no-download', url], {
+        maxBuffer: 1024 * 1024 * 5,
+        timeout: 30000
+    });
+
+    return JSON.parse(stdout);
+}
+
+/**
+ * Source video and range of a YouTube Clip
+ * yt-dlp reports the clip's section on top of the source video's metadata
+ * @param {string} url - Sanitized clip URL
+ * @param {Object} [info] - Metadata already fetched for the clip
+ * @returns {Promise<{url: string, start: number, end: number}>}
+ */
+async function resolveClip(url, info) {
+    const metadata = info || await getVideoInfo(url);
+    const source = sanitizeMediaUrl(metadata.webpage_url || '');
+    const start = Number(metadata.section_start);
+    const end = Number(metadata.section_end);
+
+    if (!source || isClipUrl(source) || !Number.isFinite(start) || !(end > start)) {
+        throw new Error('Rentang waktu YouTube Clip tidak ditemukan');
+    }
+
+    return { url: source, start, end };
+}
+
+/**
+ * Trim request with a YouTube Clip swapped for its source video, the clip's
+ * range filling in missing times. Other requests are returned unchanged
+ * (t= links are handled by validateTrimRequest)
+ * @param {Object} body - Trim request
+ * @returns {Promise<Object>}
+ */
+async function resolveTrimBody(body) {
+    const url = sanitizeMediaUrl(body.url);
+    if (!url || !isClipUrl(url)) return body;
+
+    let clip;
+    try {
+        clip = await resolveClip(url);
+    } catch (error) {
+        throw new Error('YouTube Clip tidak dapat dibaca', { cause: error });
+    }
+
+    return { ...applyLinkRange(body, clip), url: clip.url };
+}
+
+module.exports = {
+    getVideoInfo,
+    resolveClip,
+    resolveTrimBody
+};